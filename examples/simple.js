@@ -16,17 +16,9 @@ const e3db = require('../dist/index.js')
  */
 
 // Configuration values must be set in an immutable configuration object.
-// You can use whatever "profiles" or client credentials you want.
-let config = new e3db.Config(
-  process.env.CLIENT_ID,
-  process.env.API_KEY_ID,
-  process.env.API_SECRET,
-  process.env.PUBLIC_KEY,
-  process.env.PRIVATE_KEY,
-  process.env.API_URL,
-  process.env.PUBLIC_SIGN_KEY,
-  process.env.PRIVATE_SIGN_KEY
-)
+// You can use whatever "profiles" or client credentials you want; here they
+// are read from the CLIENT_ID, API_KEY_ID, API_SECRET, etc. environment variables.
+let config = e3db.Config.fromEnv()
 
 // Now create a client using that configuration
 let client = new e3db.Client(config)
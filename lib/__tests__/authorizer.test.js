@@ -0,0 +1,96 @@
+import { default as Client } from '../client'
+import { MissingAccessKeyError } from '../errors'
+import { fakeConfig, fakeServer } from './helpers/fakeServer'
+
+let writer = '00000000-0000-0000-0000-000000000001'
+let authorizer = '00000000-0000-0000-0000-000000000002'
+let reader = '00000000-0000-0000-0000-000000000003'
+
+async function setup() {
+  let keys = {}
+  for (let id of [writer, authorizer, reader]) {
+    keys[id] = await Client.generateKeypair()
+  }
+
+  let server = fakeServer(keys)
+  let client = id => new Client(fakeConfig(id, keys[id]), server.transport)
+
+  return {
+    server,
+    writerClient: client(writer),
+    authorizerClient: client(authorizer),
+    readerClient: client(reader)
+  }
+}
+
+describe('Authorizers', () => {
+  it('share and revoke records on behalf of the writer', async () => {
+    let { server, writerClient, authorizerClient, readerClient } = await setup()
+    let path = [writer, writer, reader, 'lyric'].join('/')
+    await writerClient.write('lyric', { line: 'Say I am the only bee in your bonnet' })
+
+    await writerClient.addAuthorizer('lyric', authorizer)
+    expect(server.policies[[writer, writer, authorizer, 'lyric'].join('/')]).toEqual({
+      allow: [{ authorizer: {} }]
+    })
+
+    await authorizerClient.shareOnBehalfOf(writer, 'lyric', reader)
+    expect(server.policies[path]).toEqual({ allow: [{ read: {} }] })
+    expect(server.eaks[path].authorizer).toBe(authorizer)
+
+    let record = await readerClient.read('r1')
+    expect(record.data.line).toBe('Say I am the only bee in your bonnet')
+
+    await authorizerClient.revokeOnBehalfOf(writer, 'lyric', reader)
+    expect(server.policies[path]).toEqual({ deny: [{ read: {} }] })
+    expect(server.eaks[path]).toBeUndefined()
+  })
+
+  it('revokes readers and authorizers that never held the access key', async () => {
+    let { server, writerClient, authorizerClient } = await setup()
+    await writerClient.addAuthorizer('lyric', authorizer)
+
+    expect(await authorizerClient.revokeOnBehalfOf(writer, 'lyric', reader)).toBe(true)
+    expect(server.policies[[writer, writer, reader, 'lyric'].join('/')]).toEqual({
+      deny: [{ read: {} }]
+    })
+
+    delete server.eaks[[writer, writer, authorizer, 'lyric'].join('/')]
+    expect(await writerClient.removeAuthorizer('lyric', authorizer)).toBe(true)
+  })
+
+  it('lists who authorized what', async () => {
+    let { writerClient, authorizerClient } = await setup()
+    await writerClient.addAuthorizer('lyric', authorizer)
+
+    let outgoing = await writerClient.outgoingAuthorizers()
+    let incoming = await authorizerClient.incomingAuthorizers()
+
+    expect(outgoing).toEqual(incoming)
+    expect(incoming.length).toBe(1)
+    expect(incoming[0].authorizerId).toBe(authorizer)
+    expect(incoming[0].writerId).toBe(writer)
+    expect(incoming[0].recordType).toBe('lyric')
+    expect(incoming[0].authorizedBy).toBe(writer)
+  })
+
+  it('cannot share once the authority is removed', async () => {
+    let { server, writerClient, authorizerClient } = await setup()
+    await writerClient.addAuthorizer('lyric', authorizer)
+
+    await writerClient.removeAuthorizer('lyric', authorizer)
+
+    expect(server.policies[[writer, writer, authorizer, 'lyric'].join('/')]).toEqual({
+      deny: [{ authorizer: {} }]
+    })
+    expect(await writerClient.outgoingAuthorizers()).toEqual([])
+    let error = await authorizerClient.shareOnBehalfOf(writer, 'lyric', reader).catch(e => e)
+    expect(error).toBeInstanceOf(MissingAccessKeyError)
+    expect(error.context).toEqual({
+      writerId: writer,
+      userId: writer,
+      readerId: reader,
+      type: 'lyric'
+    })
+  })
+})
@@ -0,0 +1,84 @@
+import { default as Client } from '../client'
+import { ConflictError, ForbiddenError } from '../errors'
+import { fakeConfig, fakeServer, jsonResponse } from './helpers/fakeServer'
+
+let me = '00000000-0000-0000-0000-000000000001'
+
+/**
+ * Counts the number of record requests in flight and refuses records marked
+ * as forbidden.
+ */
+function batchServer(keys) {
+  let server = fakeServer({ [me]: keys }, async ({ parts, body }) => {
+    if (parts[3] !== 'records') {
+      return undefined
+    }
+
+    server.inFlight += 1
+    server.maxInFlight = Math.max(server.maxInFlight, server.inFlight)
+    await new Promise(resolve => setTimeout(resolve, 5))
+    server.inFlight -= 1
+
+    if (body.meta.plain.status === 'forbidden') {
+      return jsonResponse({ error: 'forbidden' }, 403)
+    }
+  })
+  server.inFlight = 0
+  server.maxInFlight = 0
+
+  return server
+}
+
+let accessKeyLookups = server =>
+  server.calls.filter(call => call.startsWith('GET /v1/storage/access_keys/')).length
+
+async function setup() {
+  let keys = await Client.generateKeypair()
+  let server = batchServer(keys)
+  let config = fakeConfig(me, keys)
+
+  return { server, client: new Client(config, server.transport) }
+}
+
+describe('Batch operations', () => {
+  it('writes many records with bounded concurrency', async () => {
+    let { server, client } = await setup()
+    let progress = []
+    let items = [1, 2, 3, 4, 5, 6].map(n => ({ n: String(n) }))
+
+    let results = await client.writeMany('number', items, {
+      concurrency: 2,
+      plain: item => ({ status: item.n === '4' ? 'forbidden' : 'ok' }),
+      onProgress: (completed, total) => progress.push(completed + '/' + total)
+    })
+
+    expect(results.map(result => (result.record ? result.record.data.n : null))).toEqual([
+      '1',
+      '2',
+      '3',
+      null,
+      '5',
+      '6'
+    ])
+    expect(results[3].error).toBeInstanceOf(ForbiddenError)
+    expect(results[0].error).toBeNull()
+    expect(accessKeyLookups(server)).toBe(1)
+    expect(server.maxInFlight).toBe(2)
+    expect(progress).toEqual(['1/6', '2/6', '3/6', '4/6', '5/6', '6/6'])
+  })
+
+  it('updates many records and reports conflicts per record', async () => {
+    let { server, client } = await setup()
+    let written = await client.writeMany('number', [{ n: '1' }, { n: '2' }])
+    let records = written.map(result => result.record)
+    records[1].meta.version = 'stale'
+    records[0].data.n = 'one'
+
+    let results = await client.updateMany(records, { concurrency: 3 })
+
+    expect(results[0].record.data.n).toBe('one')
+    expect(results[1].record).toBeNull()
+    expect(results[1].error).toBeInstanceOf(ConflictError)
+    expect(accessKeyLookups(server)).toBe(1)
+  })
+})
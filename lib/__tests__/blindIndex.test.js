@@ -0,0 +1,132 @@
+import { default as Client } from '../client'
+import { default as Crypto } from '../crypto'
+import { default as Plain } from '../plain'
+import { default as QueryBuilder } from '../queryBuilder'
+import { fakeConfig, fakeServer } from './helpers/fakeServer'
+
+let me = '00000000-0000-0000-0000-000000000001'
+
+async function setup() {
+  let keys = await Client.generateKeypair()
+  let searches = []
+  let server = fakeServer({ [me]: keys }, async ({ path, body }) => {
+    if (path === '/v1/storage/search') {
+      searches.push(body)
+    }
+  })
+  let config = fakeConfig(me, keys)
+  let client = new Client(config, server.transport, { blindIndex: { contact: ['email'] } })
+
+  return { server, searches, client }
+}
+
+async function ids(result) {
+  return (await result.next()).map(record => record.meta.recordId)
+}
+
+describe('Blind index', () => {
+  it('stores tokens rather than plaintext for indexed fields', async () => {
+    let { server, client } = await setup()
+
+    await client.write('contact', { email: 'jon@example.com', name: 'Jon' }, { team: 'north' })
+    await client.write('note', { email: 'jon@example.com' })
+
+    let plain = server.records.r1.meta.plain
+    expect(plain.team).toBe('north')
+    expect(plain['e3db.bi.email']).toMatch(/^[A-Za-z0-9_-]+$/)
+    expect(JSON.stringify(plain)).not.toContain('jon@example.com')
+    expect(plain['e3db.bi.name']).toBeUndefined()
+    expect(server.records.r2.meta.plain).toEqual({})
+  })
+
+  it('finds records by the value of an encrypted field', async () => {
+    let { searches, client } = await setup()
+    await client.write('contact', { email: 'jon@example.com' }, { team: 'north' })
+    await client.write('contact', { email: 'arya@example.com' }, { team: 'north' })
+    await client.write('contact', { email: 'jon@example.com' }, { team: 'south' })
+
+    let found = client
+      .find()
+      .types('contact')
+      .whereEncrypted('email', 'jon@example.com')
+      .execute()
+    expect(await ids(found)).toEqual(['r1', 'r3'])
+    expect(JSON.stringify(searches)).not.toContain('jon@example.com')
+
+    let combined = client
+      .find()
+      .types('contact')
+      .plain(Plain.eq('team', 'south'))
+      .whereEncrypted('email', 'jon@example.com')
+      .execute()
+    expect(await ids(combined)).toEqual(['r3'])
+  })
+
+  it('refreshes tokens when records are updated', async () => {
+    let { client } = await setup()
+    let record = await client.write('contact', { email: 'jon@example.com' })
+
+    record.data.email = 'snow@example.com'
+    await client.update(record)
+
+    let old = client.find().types('contact').whereEncrypted('email', 'jon@example.com')
+    let current = client.find().types('contact').whereEncrypted('email', 'snow@example.com')
+    expect(await ids(old.execute())).toEqual([])
+    expect(await ids(current.execute())).toEqual(['r1'])
+  })
+
+  it('leaves the caller record without tokens on update', async () => {
+    let { server, client } = await setup()
+    let record = await client.write('contact', { email: 'jon@example.com' })
+
+    record.meta.plain = { team: 'north' }
+    await client.update(record)
+
+    expect(record.meta.plain).toEqual({ team: 'north' })
+    expect(server.records.r1.meta.plain.team).toBe('north')
+    expect(server.records.r1.meta.plain['e3db.bi.email']).toBeDefined()
+  })
+
+  it('matches nothing without an access key for the type', async () => {
+    let { searches, client } = await setup()
+
+    let result = client.find().types('contact').whereEncrypted('email', 'jon@example.com').execute()
+
+    expect(await result.next()).toEqual([])
+    expect(result.done).toBe(true)
+    expect(searches).toEqual([])
+  })
+
+  it('derives distinct tokens per field and access key', async () => {
+    let first = await Crypto.randomKey()
+    let second = await Crypto.randomKey()
+
+    let token = await Crypto.blindIndexToken(first, 'email', 'a')
+    expect(await Crypto.blindIndexToken(first, 'email', 'a')).toBe(token)
+    expect(await Crypto.blindIndexToken(first, 'phone', 'a')).not.toBe(token)
+    expect(await Crypto.blindIndexToken(second, 'email', 'a')).not.toBe(token)
+  })
+
+  it('validates encrypted field searches', () => {
+    expect(() => new QueryBuilder(null).whereEncrypted('email', 7)).toThrow(
+      'whereEncrypted() only accepts string values'
+    )
+    expect(() => new QueryBuilder(null).whereEncrypted('email', 'a').build()).toThrow(
+      'whereEncrypted() requires types() to be set'
+    )
+    expect(() =>
+      new QueryBuilder(null)
+        .types('contact')
+        .allWriters()
+        .whereEncrypted('email', 'a')
+        .build()
+    ).toThrow('whereEncrypted() cannot be combined with allWriters()')
+    expect(() =>
+      new QueryBuilder(null)
+        .types('contact')
+        .plain({ eq: { name: 'a', value: 'b' } })
+        .whereEncrypted('email', 'a')
+        .build()
+    ).toThrow('whereEncrypted() can only be combined with Plain predicates')
+  })
+})
@@ -0,0 +1,95 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import sodium from 'libsodium-wrappers'
+
+import { FileAccessKeyCache, MemoryAccessKeyCache } from '../cache'
+import { default as Client } from '../client'
+import { default as Crypto } from '../crypto'
+import { fakeConfig, fakeTransport, jsonResponse } from './helpers/fakeServer'
+
+let clientId = '00000000-0000-0000-0000-000000000000'
+
+describe('MemoryAccessKeyCache', () => {
+  it('evicts the least recently used entry', async () => {
+    let cache = new MemoryAccessKeyCache(2)
+    await cache.set('w', 'u', 'one', 'ak1')
+    await cache.set('w', 'u', 'two', 'ak2')
+    await cache.get('w', 'u', 'one')
+    await cache.set('w', 'u', 'three', 'ak3')
+
+    expect(await cache.get('w', 'u', 'one')).toBe('ak1')
+    expect(await cache.get('w', 'u', 'two')).toBeUndefined()
+    expect(await cache.get('w', 'u', 'three')).toBe('ak3')
+  })
+
+  it('expires entries after the TTL', async () => {
+    let cache = new MemoryAccessKeyCache(10, 0)
+    await cache.set('w', 'u', 'type', 'ak')
+
+    expect(await cache.get('w', 'u', 'type')).toBeUndefined()
+  })
+
+  it('clears entries matching a filter', async () => {
+    let cache = new MemoryAccessKeyCache()
+    await cache.set('w1', 'u', 'type.with.dots', 'ak1')
+    await cache.set('w2', 'u', 'type.with.dots', 'ak2')
+    await cache.set('w1', 'u', 'other', 'ak3')
+
+    await cache.clear({ writerId: 'w1' })
+
+    expect(await cache.get('w1', 'u', 'type.with.dots')).toBeUndefined()
+    expect(await cache.get('w1', 'u', 'other')).toBeUndefined()
+    expect(await cache.get('w2', 'u', 'type.with.dots')).toBe('ak2')
+  })
+})
+
+describe('FileAccessKeyCache', () => {
+  it('persists encrypted keys readable only by the owner', async () => {
+    await sodium.ready
+    let file = path.join(os.tmpdir(), 'e3db-ak-cache-' + Math.random().toString(36).substr(2))
+    let secretKey = await Crypto.b64encode(sodium.crypto_secretbox_keygen())
+    let ak = await Crypto.randomKey()
+
+    try {
+      let cache = new FileAccessKeyCache(file, secretKey)
+      await cache.set('w', 'u', 'type', ak)
+
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600)
+      expect(fs.readFileSync(file, 'utf8')).not.toMatch('type')
+
+      let reloaded = new FileAccessKeyCache(file, secretKey)
+      expect(await reloaded.get('w', 'u', 'type')).toEqual(ak)
+    } finally {
+      fs.unlinkSync(file)
+    }
+  })
+})
+
+describe('Client access key cache', () => {
+  it('purges a cached key when the server no longer has it', async () => {
+    let transport = fakeTransport(request => {
+      if (request.parts[3] === 'access_keys') {
+        return jsonResponse({ error: 'not found' }, 404)
+      }
+    })
+    let client = new Client(fakeConfig(clientId), transport)
+    await client.accessKeyCache.set(clientId, clientId, 'type', 'ak')
+
+    let eak = await client.getReaderKey(clientId, clientId, 'type')
+
+    expect(eak).toBeNull()
+    expect(await client.accessKeyCache.get(clientId, clientId, 'type')).toBeUndefined()
+  })
+
+  it('clears cached keys on request', async () => {
+    let client = new Client(fakeConfig(clientId))
+    await client.accessKeyCache.set(clientId, clientId, 'one', 'ak1')
+    await client.accessKeyCache.set(clientId, clientId, 'two', 'ak2')
+
+    await client.clearAccessKeyCache({ type: 'one' })
+
+    expect(await client.accessKeyCache.get(clientId, clientId, 'one')).toBeUndefined()
+    expect(await client.accessKeyCache.get(clientId, clientId, 'two')).toBe('ak2')
+  })
+})
@@ -1,4 +1,7 @@
 import assert from 'assert'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
 import { default as Config } from '../config'
 
 describe('config', () => {
@@ -11,4 +14,84 @@ describe('config', () => {
     let c = new Config('', '', '', '', '', 'https://test.com')
     assert('https://test.com' === c.apiUrl, 'Config should allow API url overrides')
   })
+
+  it('loads from prefixed environment variables', () => {
+    let c = Config.fromEnv('E3DB_', {
+      E3DB_CLIENT_ID: 'client',
+      E3DB_API_KEY_ID: 'key',
+      E3DB_API_SECRET: 'secret',
+      E3DB_PUBLIC_KEY: 'public',
+      E3DB_PRIVATE_KEY: 'private',
+      CLIENT_ID: 'ignored'
+    })
+
+    assert(c.clientId === 'client', 'Config should read prefixed variables')
+    assert(c.version === 1, 'Config without signing keys should be version 1')
+    assert(c.apiUrl === 'https://api.e3db.com', 'Config should default the API url')
+  })
+
+  it('rejects incomplete configuration', () => {
+    assert.throws(() => Config.fromEnv('', {}), /missing required field: clientId/)
+  })
+
+  it('saves and loads owner-only configuration files', async () => {
+    let dir = path.join(os.tmpdir(), 'e3db-config-' + Math.random().toString(36).substr(2))
+    let file = path.join(dir, 'e3db.json')
+    let c = new Config('client', 'key', 'secret', 'public', 'private', 'https://test.com', 'spub', 'spriv')
+
+    try {
+      await c.save(file)
+
+      assert((fs.statSync(file).mode & 0o777) === 0o600, 'Config file should be owner-only')
+      let json = JSON.parse(fs.readFileSync(file, 'utf8'))
+      assert(json.version === 2 && json.public_signing_key === 'spub', 'Config should use the e3db.json format')
+
+      let loaded = await Config.fromFile(file)
+      assert.deepEqual(loaded, c)
+    } finally {
+      fs.unlinkSync(file)
+      fs.rmdirSync(dir)
+    }
+  })
+
+  it('creates missing directories and saves into existing ones', async () => {
+    let root = path.join(os.tmpdir(), 'e3db-config-' + Math.random().toString(36).substr(2))
+    let dir = path.join(root, 'profile')
+    let file = path.join(dir, 'e3db.json')
+    let c = new Config('client', 'key', 'secret', 'public', 'private')
+
+    try {
+      await c.save(file)
+      await c.save(file)
+
+      assert((fs.statSync(root).mode & 0o777) === 0o700, 'Parent directory should be owner-only')
+      assert((fs.statSync(dir).mode & 0o777) === 0o700, 'Profile directory should be owner-only')
+      assert((await Config.fromFile(file)).clientId === 'client', 'Config should be saved')
+    } finally {
+      fs.unlinkSync(file)
+      fs.rmdirSync(dir)
+      fs.rmdirSync(root)
+    }
+  })
+
+  it('rejects files whose version does not match their keys', async () => {
+    expect.assertions(1)
+    try {
+      await Config.decode({
+        version: 2,
+        client_id: 'client',
+        api_key_id: 'key',
+        api_secret: 'secret',
+        public_key: 'public',
+        private_key: 'private'
+      })
+    } catch (e) {
+      expect(e.message).toMatch('does not match')
+    }
+  })
+
+  it('locates named profiles in the home directory', () => {
+    assert(Config.profilePath('dev') === path.join(os.homedir(), '.tozny', 'dev', 'e3db.json'))
+    assert(Config.profilePath() === path.join(os.homedir(), '.tozny', 'e3db.json'))
+  })
 })
@@ -1,8 +1,21 @@
 import sodium from 'libsodium-wrappers'
 import { default as Crypto } from '../crypto'
 
+import { default as Meta } from '../types/meta'
+import { default as Record } from '../types/record'
+import { default as RecordData } from '../types/recordData'
 import { default as SignedString } from '../types/signedString'
 
+async function runStream(stream, input) {
+  return new Promise((resolve, reject) => {
+    let output = []
+    stream.on('data', chunk => output.push(chunk))
+    stream.on('end', () => resolve(Buffer.concat(output)))
+    stream.on('error', reject)
+    stream.end(input)
+  })
+}
+
 describe('Crypto', () => {
   it('properly base64 encodes', async () => {
     let expected = 'VGhpcyBpcyBhIHRlc3Qh'
@@ -72,4 +85,63 @@ describe('Crypto', () => {
 
     expect(verified).toBe(true)
   })
+
+  it('encrypts and decrypts streams across chunks', async () => {
+    let key = await Crypto.randomStreamKey()
+    let plaintext = Buffer.from('a'.repeat(100) + 'b'.repeat(28))
+
+    let encryptor = await Crypto.encryptStream(key, 32)
+    let ciphertext = await runStream(encryptor, plaintext)
+
+    expect(encryptor.chunks).toBe(4)
+    expect(encryptor.size).toBe(128)
+
+    let decryptor = await Crypto.decryptStream(
+      key,
+      encryptor.header,
+      32,
+      encryptor.checksum,
+      encryptor.size
+    )
+    let decrypted = await runStream(decryptor, ciphertext)
+
+    expect(decrypted.equals(plaintext)).toBe(true)
+  })
+
+  it('rejects tampered streams', async () => {
+    let key = await Crypto.randomStreamKey()
+    let encryptor = await Crypto.encryptStream(key, 32)
+    let ciphertext = await runStream(encryptor, Buffer.from('x'.repeat(64)))
+
+    ciphertext[40] ^= 1
+
+    let decryptor = await Crypto.decryptStream(key, encryptor.header, 32)
+    await expect(runStream(decryptor, ciphertext)).rejects.toThrow('failed decryption')
+  })
+
+  it('rejects truncated streams', async () => {
+    let key = await Crypto.randomStreamKey()
+    let encryptor = await Crypto.encryptStream(key, 32)
+    let ciphertext = await runStream(encryptor, Buffer.from('x'.repeat(64)))
+
+    let decryptor = await Crypto.decryptStream(key, encryptor.header, 32)
+    await expect(runStream(decryptor, ciphertext.slice(0, 49))).rejects.toThrow(
+      'before its final chunk'
+    )
+  })
+
+  it('decrypts only the requested fields of a record', async () => {
+    let ak = await Crypto.randomKey()
+    let record = new Record(
+      new Meta('writer', 'user', 'contact', {}),
+      new RecordData({ name: 'Jon', phone: '555-555-1212', notes: 'long text' })
+    )
+    let encrypted = await Crypto.encryptRecord(record, ak)
+
+    let all = await Crypto.decryptRecord(encrypted, ak)
+    let some = await Crypto.decryptRecord(encrypted, ak, ['name', 'missing'])
+
+    expect(all.data).toEqual({ name: 'Jon', phone: '555-555-1212', notes: 'long text' })
+    expect(some.data).toEqual({ name: 'Jon' })
+  })
 })
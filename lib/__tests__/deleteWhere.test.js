@@ -0,0 +1,90 @@
+import { default as Client } from '../client'
+import { default as RetryPolicy } from '../retry'
+import { fakeConfig, fakeTransport, jsonResponse } from './helpers/fakeServer'
+
+let me = '00000000-0000-0000-0000-000000000001'
+let config = fakeConfig(me)
+
+/* eslint-disable camelcase */
+
+/**
+ * Each record lists the status its deletion should fail with, if any.
+ */
+function fakeServer() {
+  let server = {
+    records: [
+      { id: 'r1', version: 'v1', status: 200 },
+      { id: 'r2', version: 'v1', status: 409 },
+      { id: 'r3', version: 'v1', status: 403 },
+      { id: 'r4', version: 'v1', status: 404 },
+      { id: 'r5', version: 'v1', status: 500 }
+    ],
+    searches: [],
+    deletes: []
+  }
+
+  server.transport = fakeTransport(async request => {
+    let { path, method } = request
+
+    if (path === '/v1/storage/search') {
+      let query = request.body
+      server.searches.push(query)
+      let page = server.records.slice(query.after_index, query.after_index + query.count)
+      return jsonResponse({
+        results: page.map(record => ({
+          meta: {
+            record_id: record.id,
+            version: record.version,
+            writer_id: me,
+            user_id: me,
+            type: 't',
+            plain: {}
+          },
+          record_data: {},
+          access_key: null
+        })),
+        last_index: query.after_index + page.length
+      })
+    }
+
+    if (method === 'DELETE') {
+      server.deletes.push(path)
+      let found = server.records.filter(record => path.indexOf('/' + record.id) !== -1)[0]
+      return jsonResponse({}, found.status === 200 ? 204 : found.status)
+    }
+  })
+
+  return server
+}
+
+/* eslint-enable */
+
+describe('Deleting by query', () => {
+  it('deletes every matching record and summarizes the outcome', async () => {
+    let server = fakeServer()
+    let client = new Client(config, server.transport, {
+      retryPolicy: new RetryPolicy({ retries: 0 })
+    })
+
+    let summary = await client.deleteWhere({ type: 't', pageSize: 2 }, { useVersion: true })
+
+    expect(summary.deleted).toEqual(['r1', 'r4'])
+    expect(summary.conflicted).toEqual(['r2'])
+    expect(summary.forbidden).toEqual(['r3'])
+    expect(summary.failed.map(failure => failure.recordId)).toEqual(['r5'])
+    expect(summary.failed[0].error.status).toBe(500)
+    expect(server.searches.every(query => query.include_data === false)).toBe(true)
+    expect(server.searches[0].content_types).toEqual(['t'])
+    expect(server.deletes[0]).toBe('/v1/storage/records/safe/r1/v1')
+  })
+
+  it('only lists matching records on a dry run', async () => {
+    let server = fakeServer()
+    let client = new Client(config, server.transport)
+
+    let summary = await client.deleteWhere({ type: 't' }, { dryRun: true })
+
+    expect(summary.deleted).toEqual(['r1', 'r2', 'r3', 'r4', 'r5'])
+    expect(server.deletes).toEqual([])
+  })
+})
@@ -0,0 +1,156 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import { default as Client } from '../client'
+import { FileKeyPinStore, MemoryClientCache, MemoryKeyPinStore } from '../directory'
+import { KeyChangedError } from '../errors'
+import { fakeConfig, fakeServer } from './helpers/fakeServer'
+
+let clientId = '00000000-0000-0000-0000-000000000000'
+let readerId = '00000000-0000-0000-0000-000000000001'
+let readerPath = [clientId, clientId, readerId, 'lyric'].join('/')
+
+async function setup(options = {}) {
+  let own = await Client.generateKeypair()
+  let reader = await Client.generateKeypair()
+  let server = fakeServer({
+    [clientId]: { publicKey: own.publicKey, publicSignKey: null },
+    [readerId]: { publicKey: reader.publicKey, publicSignKey: 'signing-key' }
+  })
+  let config = fakeConfig(clientId, own)
+
+  return { server, client: new Client(config, server.transport, options) }
+}
+
+let clientLookups = server =>
+  server.calls.filter(call => call.startsWith('GET /v1/storage/clients/')).length
+
+async function changeReaderKey(server) {
+  server.keys[readerId].publicKey = (await Client.generateKeypair()).publicKey
+}
+
+describe('MemoryClientCache', () => {
+  it('expires and evicts the least recently used clients', async () => {
+    let cache = new MemoryClientCache(2, 60000)
+    await cache.set('a', 'info-a')
+    await cache.set('b', 'info-b')
+    await cache.get('a')
+    await cache.set('c', 'info-c')
+
+    expect(await cache.get('a')).toBe('info-a')
+    expect(await cache.get('b')).toBeUndefined()
+
+    let expiring = new MemoryClientCache(10, 0)
+    await expiring.set('a', 'info-a')
+    expect(await expiring.get('a')).toBeUndefined()
+  })
+})
+
+describe('FileKeyPinStore', () => {
+  it('persists pins readable only by the owner', async () => {
+    let file = path.join(os.tmpdir(), 'e3db-pins-' + Math.random().toString(36).substr(2))
+
+    try {
+      let pins = new FileKeyPinStore(file)
+      await pins.set(readerId, { curve25519: 'public', ed25519: null })
+
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600)
+
+      let reloaded = new FileKeyPinStore(file)
+      expect(await reloaded.get(readerId)).toEqual({ curve25519: 'public', ed25519: null })
+      await reloaded.delete(readerId)
+      expect(await new FileKeyPinStore(file).get(readerId)).toBeUndefined()
+    } finally {
+      fs.unlinkSync(file)
+    }
+  })
+})
+
+describe('Client directory', () => {
+  it('caches client lookups, sharing concurrent requests', async () => {
+    let { server, client } = await setup()
+
+    await Promise.all([client.getClient(readerId), client.getClient(readerId)])
+    let info = await client.getClient(readerId)
+
+    expect(info.signingKey.ed25519).toBe('signing-key')
+    expect(clientLookups(server)).toBe(1)
+
+    await client.forgetClient(readerId)
+    await client.getClient(readerId)
+    expect(clientLookups(server)).toBe(2)
+  })
+
+  it('pins the keys of clients on first use', async () => {
+    let { server, client } = await setup()
+
+    await client.share('lyric', readerId)
+
+    expect(await client.keyPins.get(readerId)).toEqual({
+      curve25519: server.keys[readerId].publicKey,
+      ed25519: 'signing-key'
+    })
+    expect(await client.keyPins.get(clientId)).toBeUndefined()
+  })
+
+  it('refuses to encrypt to a changed key', async () => {
+    let { server, client } = await setup({ clientCache: new MemoryClientCache(10, 0) })
+    await client.getClient(readerId)
+    let pinned = await client.keyPins.get(readerId)
+    await changeReaderKey(server)
+
+    let error = await client.share('lyric', readerId).catch(e => e)
+
+    expect(error).toBeInstanceOf(KeyChangedError)
+    expect(error.context.clientId).toBe(readerId)
+    expect(error.pinned).toEqual(pinned)
+    expect(error.received.curve25519).toBe(server.keys[readerId].publicKey)
+    expect(server.eaks[readerPath]).toBeUndefined()
+    expect(await client.keyPins.get(readerId)).toEqual(pinned)
+  })
+
+  it('treats a removed signing key as a change', async () => {
+    let { server, client } = await setup({ clientCache: new MemoryClientCache(10, 0) })
+    await client.getClient(readerId)
+    server.keys[readerId].publicSignKey = null
+
+    await expect(client.getClient(readerId)).rejects.toBeInstanceOf(KeyChangedError)
+  })
+
+  it('lets a hook decide whether to trust changed keys', async () => {
+    let calls = []
+    let trust = false
+    let { server, client } = await setup({
+      clientCache: new MemoryClientCache(10, 0),
+      keyPins: new MemoryKeyPinStore(),
+      onKeyChange: async (id, pinned, received) => {
+        calls.push(id)
+        return trust
+      }
+    })
+    await client.getClient(readerId)
+    await changeReaderKey(server)
+
+    await expect(client.share('lyric', readerId)).rejects.toBeInstanceOf(KeyChangedError)
+    trust = true
+    await client.share('lyric', readerId)
+
+    expect(calls).toEqual([readerId, readerId])
+    expect(server.eaks[readerPath]).toBeDefined()
+    expect((await client.keyPins.get(readerId)).curve25519).toBe(
+      server.keys[readerId].publicKey
+    )
+  })
+
+  it('trusts new keys once a client is forgotten', async () => {
+    let { server, client } = await setup()
+    await client.getClient(readerId)
+    await changeReaderKey(server)
+
+    await client.forgetClient(readerId)
+    await client.share('lyric', readerId)
+
+    expect(server.eaks[readerPath]).toBeDefined()
+  })
+})
@@ -0,0 +1,95 @@
+import { default as Client } from '../client'
+import { ClientNotFoundError, NotFoundError } from '../errors'
+import { fakeConfig, fakeServer, jsonResponse } from './helpers/fakeServer'
+
+let clientId = '00000000-0000-0000-0000-000000000000'
+let readerId = '00000000-0000-0000-0000-000000000001'
+
+/* eslint-disable camelcase */
+async function setup() {
+  let own = await Client.generateKeypair()
+  let reader = await Client.generateKeypair()
+  let keys = { [clientId]: own, [readerId]: reader }
+
+  let server = fakeServer(keys, async ({ path }) => {
+    if (path.startsWith('/v1/storage/clients/find')) {
+      let email = decodeURIComponent(path.split('email=')[1])
+      let id = { 'alice@example.com': readerId, 'me@example.com': clientId }[email]
+      return id === undefined
+        ? jsonResponse({ error: 'not found' }, 404)
+        : jsonResponse({
+            client_id: id,
+            public_key: { curve25519: keys[id].publicKey },
+            validated: true
+          })
+    }
+  })
+
+  let config = fakeConfig(clientId, own)
+
+  return { server, client: new Client(config, server.transport) }
+}
+/* eslint-enable */
+
+describe('Client discovery', () => {
+  it('finds clients by email address', async () => {
+    let { server, client } = await setup()
+
+    let info = await client.clientInfo('alice@example.com')
+
+    expect(info.clientId).toBe(readerId)
+    expect(server.calls).toContain(
+      'POST /v1/storage/clients/find?email=alice%40example.com'
+    )
+    expect(await client.keyPins.get(readerId)).toBeDefined()
+  })
+
+  it('raises ClientNotFoundError when no client has the address', async () => {
+    let { client } = await setup()
+
+    let error = await client.clientInfo('nobody@example.com').catch(e => e)
+
+    expect(error).toBeInstanceOf(ClientNotFoundError)
+    expect(error).toBeInstanceOf(NotFoundError)
+    expect(error.context.email).toBe('nobody@example.com')
+    await expect(client.share('lyric', 'nobody@example.com')).rejects.toBeInstanceOf(
+      ClientNotFoundError
+    )
+  })
+
+  it('shares and revokes by email address', async () => {
+    let { server, client } = await setup()
+    let path = [clientId, clientId, readerId, 'lyric'].join('/')
+
+    await client.share('lyric', 'alice@example.com')
+
+    expect(server.eaks[path]).toBeDefined()
+    expect(server.policies[path]).toEqual({ allow: [{ read: {} }] })
+
+    await client.revoke('lyric', 'alice@example.com')
+
+    expect(server.eaks[path]).toBeUndefined()
+    expect(server.policies[path]).toEqual({ deny: [{ read: {} }] })
+
+    // Each call looks the reader up once, by email address only
+    let lookups = server.calls.filter(call => call.includes('/clients/'))
+    expect(lookups.filter(call => call.includes('find'))).toHaveLength(2)
+    expect(lookups).not.toContain('GET /v1/storage/clients/' + readerId)
+  })
+
+  it('revokes readers that hold no access key', async () => {
+    let { server, client } = await setup()
+
+    expect(await client.revoke('lyric', readerId)).toBe(true)
+    expect(server.policies[[clientId, clientId, readerId, 'lyric'].join('/')]).toEqual({
+      deny: [{ read: {} }]
+    })
+  })
+
+  it('does not share with itself by email address', async () => {
+    let { server, client } = await setup()
+
+    expect(await client.share('lyric', 'me@example.com')).toBe(true)
+    expect(Object.keys(server.policies)).toEqual([])
+  })
+})
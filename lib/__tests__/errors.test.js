@@ -0,0 +1,66 @@
+import { default as Client } from '../client'
+import {
+  ConflictError,
+  E3dbError,
+  E3dbHttpError,
+  ForbiddenError,
+  NotFoundError
+} from '../errors'
+import { fakeConfig, fakeTransport, jsonResponse } from './helpers/fakeServer'
+
+let clientId = '00000000-0000-0000-0000-000000000000'
+
+function clientReturning(response) {
+  let transport = fakeTransport(request => {
+    if (request.path !== '/v1/auth/token') {
+      return response
+    }
+  })
+
+  return new Client(fakeConfig(clientId), transport)
+}
+
+describe('errors', () => {
+  it('raises typed errors carrying the server response', async () => {
+    expect.assertions(8)
+    let body = { error: 'client not found' }
+    let client = clientReturning(jsonResponse(body, 404, {}, 'Not Found'))
+
+    try {
+      await client.getClient('missing')
+    } catch (e) {
+      expect(e).toBeInstanceOf(NotFoundError)
+      expect(e).toBeInstanceOf(E3dbHttpError)
+      expect(e).toBeInstanceOf(E3dbError)
+      expect(e.status).toBe(404)
+      expect(e.body).toEqual(body)
+      expect(e.method).toBe('GET')
+      expect(e.path).toBe('/v1/storage/clients/missing')
+      expect(e.context.clientId).toBe('missing')
+    }
+  })
+
+  it('raises a conflict when deleting a stale version', async () => {
+    expect.assertions(3)
+    let client = clientReturning(jsonResponse(null, 409, {}, 'Conflict'))
+
+    try {
+      await client.delete('record', 'version')
+    } catch (e) {
+      expect(e).toBeInstanceOf(ConflictError)
+      expect(e.message).toMatch('Conflict')
+      expect(e.context).toEqual({ recordId: 'record', version: 'version' })
+    }
+  })
+
+  it('no longer treats a forbidden delete as success', async () => {
+    expect.assertions(1)
+    let client = clientReturning(jsonResponse(null, 403, {}, 'Forbidden'))
+
+    try {
+      await client.delete('record')
+    } catch (e) {
+      expect(e).toBeInstanceOf(ForbiddenError)
+    }
+  })
+})
@@ -0,0 +1,68 @@
+import { PassThrough } from 'stream'
+
+import { default as Client } from '../client'
+import { MissingAccessKeyError } from '../errors'
+import { fakeConfig, fakeServer } from './helpers/fakeServer'
+
+let writer = '00000000-0000-0000-0000-000000000001'
+let reader = '00000000-0000-0000-0000-000000000002'
+
+async function setup() {
+  let keys = {
+    [writer]: await Client.generateKeypair(),
+    [reader]: await Client.generateKeypair()
+  }
+  let server = fakeServer(keys)
+  let client = id => new Client(fakeConfig(id, keys[id]), server.transport)
+
+  return { server, writerClient: client(writer), readerClient: client(reader) }
+}
+
+async function collect(write) {
+  let output = []
+  let destination = new PassThrough()
+  destination.on('data', chunk => output.push(chunk))
+
+  let result = await write(destination)
+  return { result, output: Buffer.concat(output) }
+}
+
+function source(contents) {
+  let stream = new PassThrough()
+  stream.end(contents)
+  return stream
+}
+
+describe('Files', () => {
+  it('encrypts and decrypts files with the type access key', async () => {
+    let { server, writerClient, readerClient } = await setup()
+    let plaintext = Buffer.from('Who watches over you? '.repeat(4096))
+
+    let written = await collect(destination =>
+      writerClient.writeFile('report', source(plaintext), destination)
+    )
+    let record = written.result
+    expect(record.data.key).toBeUndefined()
+    expect(record.data['e3db.fk']).toBeDefined()
+
+    await writerClient.share('report', reader)
+    let read = await collect(destination =>
+      readerClient.readFile(record.meta.recordId, source(written.output), destination)
+    )
+
+    expect(read.output.equals(plaintext)).toBe(true)
+    expect(Object.keys(server.records)).toEqual(['r1'])
+  })
+
+  it('cannot decrypt files without the type access key', async () => {
+    let { writerClient, readerClient } = await setup()
+
+    let written = await collect(destination =>
+      writerClient.writeFile('report', source('secret'), destination)
+    )
+
+    await expect(
+      readerClient.readFile(written.result, source(written.output), new PassThrough())
+    ).rejects.toBeInstanceOf(MissingAccessKeyError)
+  })
+})
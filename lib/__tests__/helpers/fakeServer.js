@@ -0,0 +1,382 @@
+import { default as Config } from '../../config'
+import { default as Transport } from '../../transport'
+
+export const API_URL = 'https://localhost'
+
+/**
+ * Build a fetch response carrying a JSON body.
+ *
+ * @param {*}      body       Body returned by `json()`
+ * @param {number} status     HTTP status code
+ * @param {object} headers    Response headers, by name
+ * @param {string} statusText HTTP status text
+ *
+ * @returns {object}
+ */
+export function jsonResponse(body, status = 200, headers = {}, statusText = null) {
+  return {
+    status: status,
+    statusText: statusText === null ? 'Status ' + status : statusText,
+    headers: {
+      has: name => headers.hasOwnProperty(name),
+      get: name => (headers.hasOwnProperty(name) ? headers[name] : null)
+    },
+    json: async () => body
+  }
+}
+
+/**
+ * Parse a request body sent as JSON, leaving any other body as it is.
+ *
+ * @param {string} body Raw request body, if any
+ *
+ * @returns {*}
+ */
+function parseBody(body) {
+  if (typeof body !== 'string') {
+    return body === undefined ? null : body
+  }
+
+  try {
+    return JSON.parse(body)
+  } catch (err) {
+    return body
+  }
+}
+
+/**
+ * Build a Transport answering every request in memory, as a stand-in for the
+ * E3DB API shared by any number of clients.
+ *
+ * Each request is passed to `handle` as `{ url, path, parts, method, body,
+ * caller, options }`, where `parts` splits the path without its query string
+ * and `caller` is the bearer token sent with it. Token requests `handle` does
+ * not answer are granted a token equal to the client's API key ID, so clients
+ * configured by `fakeConfig` are identified by their client ID. Any other
+ * request left unanswered receives a 404.
+ *
+ * @param {function} handle Callback returning a response, or undefined
+ *
+ * @returns {Transport}
+ */
+export function fakeTransport(handle) {
+  return new Transport(async (url, options = {}) => {
+    let path = url.replace(API_URL, '')
+    let headers = options.headers || {}
+    let auth = headers.Authorization || ''
+    let request = {
+      url: url,
+      path: path,
+      parts: path.split('?')[0].split('/'),
+      method: options.method || 'GET',
+      body: parseBody(options.body),
+      caller: auth.startsWith('Bearer ') ? auth.replace('Bearer ', '') : null,
+      options: options
+    }
+
+    let response = await handle(request)
+    if (response !== undefined) {
+      return response
+    }
+
+    if (path === '/v1/auth/token') {
+      let apiKeyId = Buffer.from(auth.split(' ')[1], 'base64')
+        .toString()
+        .split(':')[0]
+
+      /* eslint-disable camelcase */
+      return jsonResponse({
+        access_token: apiKeyId,
+        expires_at: new Date(Date.now() + 60000).toISOString()
+      })
+      /* eslint-enable */
+    }
+
+    return jsonResponse({}, 404)
+  })
+}
+
+/**
+ * Build the configuration of a client talking to a fake transport, using its
+ * client ID as its API key ID.
+ *
+ * @param {string} clientId     UUID of the client
+ * @param {object} [keys]       Encryption keypair, as from `Client.generateKeypair()`
+ * @param {object} [signingKeys] Signing keypair, as from `Client.generateSigningKeypair()`
+ *
+ * @returns {Config}
+ */
+export function fakeConfig(
+  clientId,
+  keys = { publicKey: 'publickey', privateKey: 'privatekey' },
+  signingKeys = { publicKey: '', privateKey: '' }
+) {
+  return new Config(
+    clientId,
+    clientId,
+    'secret',
+    keys.publicKey,
+    keys.privateKey,
+    API_URL,
+    signingKeys.publicKey,
+    signingKeys.privateKey
+  )
+}
+
+/**
+ * Return a copy of a stored body, so clients never share objects with the
+ * server.
+ *
+ * @param {*} body Stored body
+ *
+ * @returns {*}
+ */
+function copy(body) {
+  return JSON.parse(JSON.stringify(body))
+}
+
+/**
+ * Whether a stored policy body allows an action.
+ *
+ * @param {object} policy Policy body, as sent by the client
+ * @param {string} action Action to check
+ *
+ * @returns {bool}
+ */
+function allows(policy, action) {
+  return Boolean(policy.allow) && policy.allow.some(rule => rule[action] !== undefined)
+}
+
+/**
+ * Evaluate a filter in the search API's `plain` format, as the server would.
+ *
+ * @param {object} filter Filter sent with a search
+ * @param {object} plain  Plaintext meta of a record
+ *
+ * @returns {bool}
+ */
+function evaluate(filter, plain) {
+  if (filter.eq) {
+    return plain[filter.eq.name] === filter.eq.value
+  }
+  if (filter.not) {
+    return !evaluate(filter.not, plain)
+  }
+  if (filter.and) {
+    return filter.and.every(inner => evaluate(inner, plain))
+  }
+  return filter.or.some(inner => evaluate(inner, plain))
+}
+
+/* eslint-disable camelcase */
+
+/**
+ * Whether a stored record matches a search request.
+ *
+ * @param {object} query  Body of the search request
+ * @param {object} record Stored record
+ *
+ * @returns {bool}
+ */
+function matches(query, record) {
+  let meta = record.meta
+  let fields = [
+    ['writer_ids', meta.writer_id],
+    ['user_ids', meta.user_id],
+    ['record_ids', meta.record_id],
+    ['content_types', meta.type]
+  ]
+
+  return (
+    fields.every(([name, value]) => !query[name] || query[name].indexOf(value) !== -1) &&
+    (query.plain === undefined || evaluate(query.plain, meta.plain))
+  )
+}
+
+/**
+ * Describe an authorizer policy as the proxies and granted endpoints list it.
+ *
+ * @param {string[]} path Writer, user and authorizer IDs and record type of the policy
+ *
+ * @returns {object}
+ */
+function authorizerPolicy([writerId, userId, authorizerId, type]) {
+  return {
+    authorizer_id: authorizerId,
+    writer_id: writerId,
+    user_id: userId,
+    record_type: type,
+    authorized_by: writerId
+  }
+}
+
+/**
+ * Build an in-memory stand-in for the parts of the E3DB API shared by most
+ * suites, over a transport from `fakeTransport`.
+ *
+ * `keys` maps client IDs to `{ publicKey, publicSignKey }` and can be changed
+ * to model key changes. The server stores access keys, which remember the
+ * client that wrote them as their authorizer and can only be fetched by their
+ * reader; policies, listed through the outgoing, incoming, proxies and
+ * granted endpoints; and records, numbered `r1`, `r2` and so on, which are
+ * versioned, updated safely and searched. Records can only be fetched or found
+ * by their writer and clients allowed to read their type. Every request is logged in `calls`
+ * as its method and path.
+ *
+ * Requests reach `handle` first, so suites can record, fail or answer them
+ * differently; returning undefined falls through to the shared routes.
+ *
+ * @param {object}   keys     Public keys of each client, by client ID
+ * @param {function} [handle] Callback returning a response, or undefined
+ *
+ * @returns {object} The server, with its `keys`, `records`, `eaks`,
+ *                   `policies`, `calls` and `transport`
+ */
+export function fakeServer(keys, handle = async () => undefined) {
+  let server = { keys: keys, records: {}, eaks: {}, policies: {}, calls: [] }
+
+  let eakFor = (id, caller) => {
+    let stored = server.eaks[id]
+    if (stored === undefined || id.split('/')[2] !== caller) {
+      return null
+    }
+
+    return {
+      eak: stored.eak,
+      authorizer_id: stored.authorizer,
+      authorizer_public_key: { curve25519: server.keys[stored.authorizer].publicKey }
+    }
+  }
+
+  // Each listing names the position of the caller in the policy path, the
+  // action the policy must allow, and how to describe it
+  let listings = {
+    outgoing: [0, 'read', path => ({ reader_id: path[2], record_type: path[3] })],
+    incoming: [2, 'read', path => ({ writer_id: path[0], record_type: path[3] })],
+    proxies: [0, 'authorizer', authorizerPolicy],
+    granted: [2, 'authorizer', authorizerPolicy]
+  }
+
+  let list = ([field, action, describe], caller) =>
+    Object.keys(server.policies)
+      .filter(id => allows(server.policies[id], action))
+      .map(id => id.split('/'))
+      .filter(id => id[field] === caller)
+      .map(describe)
+
+  // Records can only be fetched by their writer and the readers of their type
+  let canRead = (meta, caller) => {
+    let policy =
+      server.policies[[meta.writer_id, meta.user_id, caller, meta.type].join('/')]
+    return meta.writer_id === caller || (policy !== undefined && allows(policy, 'read'))
+  }
+
+  let store = (id, body, version) => {
+    body.meta.record_id = id
+    body.meta.version = String(version)
+    server.records[id] = body
+    return jsonResponse(copy(body))
+  }
+
+  let routes = {
+    clients: ({ parts }) => {
+      let key = server.keys[parts[4]]
+      if (key === undefined) {
+        return jsonResponse({ error: 'not found' }, 404)
+      }
+
+      return jsonResponse({
+        client_id: parts[4],
+        public_key: { curve25519: key.publicKey },
+        signing_key: key.publicSignKey ? { ed25519: key.publicSignKey } : null,
+        validated: true
+      })
+    },
+    access_keys: ({ parts, method, body, caller }) => {
+      let id = parts.slice(4).join('/')
+      if (method === 'PUT') {
+        server.eaks[id] = { eak: body.eak, authorizer: caller }
+        return jsonResponse({})
+      }
+      if (method === 'DELETE') {
+        let status = server.eaks[id] === undefined ? 404 : 200
+        delete server.eaks[id]
+        return jsonResponse({}, status)
+      }
+
+      let eak = eakFor(id, caller)
+      return eak === null ? jsonResponse({}, 404) : jsonResponse(eak)
+    },
+    policy: ({ parts, method, body, caller }) => {
+      if (listings.hasOwnProperty(parts[4])) {
+        return jsonResponse(list(listings[parts[4]], caller))
+      }
+
+      let id = parts.slice(4).join('/')
+      if (method === 'PUT') {
+        server.policies[id] = body
+        return jsonResponse({})
+      }
+      return server.policies[id] === undefined
+        ? jsonResponse({}, 404)
+        : jsonResponse(copy(server.policies[id]))
+    },
+    records: ({ parts, method, body, caller }) => {
+      if (parts[4] === 'safe') {
+        let stored = server.records[parts[5]]
+        if (stored === undefined) {
+          return jsonResponse({}, 404)
+        }
+        if (stored.meta.version !== parts[6]) {
+          return jsonResponse({ error: 'conflict' }, 409)
+        }
+        return store(parts[5], body, Number(stored.meta.version) + 1)
+      }
+      if (method === 'POST') {
+        return store('r' + (Object.keys(server.records).length + 1), body, 1)
+      }
+
+      let stored = server.records[parts[4]]
+      if (stored === undefined) {
+        return jsonResponse({}, 404)
+      }
+      return canRead(stored.meta, caller)
+        ? jsonResponse(copy(stored))
+        : jsonResponse({ error: 'forbidden' }, 403)
+    },
+    search: ({ body, caller }) => {
+      let ids = Object.keys(server.records)
+      let results = ids
+        .slice(body.after_index)
+        .map(id => server.records[id])
+        .filter(record => canRead(record.meta, caller) && matches(body, record))
+        .map(({ meta, data, rec_sig }) => ({
+          meta: copy(meta),
+          record_data: body.include_data ? copy(data) : {},
+          rec_sig: rec_sig,
+          access_key: eakFor(
+            [meta.writer_id, meta.user_id, caller, meta.type].join('/'),
+            caller
+          )
+        }))
+
+      return jsonResponse({ results: results, last_index: ids.length })
+    }
+  }
+
+  server.transport = fakeTransport(async request => {
+    server.calls.push(request.method + ' ' + request.path)
+
+    let response = await handle(request)
+    if (response !== undefined || request.parts[2] !== 'storage') {
+      return response
+    }
+
+    let route = routes[request.parts[3]]
+    return route === undefined ? undefined : route(request)
+  })
+
+  return server
+}
+
+/* eslint-enable */
@@ -0,0 +1,72 @@
+import { default as Plain } from '../plain'
+import { default as Query } from '../types/query'
+
+describe('Plain', () => {
+  it('serializes server-supported predicates in the search API format', () => {
+    let predicate = Plain.and(
+      Plain.eq('status', 'active'),
+      Plain.not(Plain.anyOf('region', ['us', 'eu']))
+    )
+
+    expect(predicate.serializable()).toEqual({
+      and: [
+        { eq: { name: 'status', value: 'active' } },
+        {
+          not: {
+            or: [{ eq: { name: 'region', value: 'us' } }, { eq: { name: 'region', value: 'eu' } }]
+          }
+        }
+      ]
+    })
+    expect(Plain.in('region', ['us']).serializable()).toEqual({
+      or: [{ eq: { name: 'region', value: 'us' } }]
+    })
+  })
+
+  it('evaluates predicates against plaintext meta', () => {
+    let predicate = Plain.or(
+      Plain.and(Plain.exists('archived'), Plain.eq('owner', 'me')),
+      Plain.not(Plain.exists('archived'))
+    )
+
+    expect(predicate.matches({ owner: 'me', archived: 'yes' })).toBe(true)
+    expect(predicate.matches({ owner: 'you', archived: 'yes' })).toBe(false)
+    expect(predicate.matches({})).toBe(true)
+    expect(predicate.matches(null)).toBe(true)
+    expect(Plain.eq('n', 1).matches({ n: '1' })).toBe(true)
+  })
+
+  it('splits predicates between the server and the client', () => {
+    let server = Plain.eq('status', 'active')
+    let exists = Plain.exists('owner')
+    let either = Plain.or(Plain.eq('a', '1'), Plain.exists('b'))
+
+    expect(server.split()).toEqual({ server: server, client: null })
+    expect(exists.split()).toEqual({ server: null, client: exists })
+    expect(Plain.and(server, exists).split()).toEqual({ server: server, client: exists })
+    expect(Plain.and(server, Plain.and(exists, either)).split()).toEqual({
+      server: server,
+      client: Plain.and(exists, either)
+    })
+    expect(() => exists.serializable()).toThrow(
+      'The search API cannot evaluate exists predicates'
+    )
+  })
+
+  it('sends only the server-supported part with a query', () => {
+    let query = new Query(0, false, null, null, null, Plain.and(Plain.eq('a', '1'), Plain.exists('b')))
+
+    expect(query.serializable().plain).toEqual({ eq: { name: 'a', value: '1' } })
+    expect(query.filter).toEqual(Plain.exists('b'))
+
+    let raw = new Query(0, false, null, null, null, { eq: { name: 'a', value: '1' } })
+    expect(raw.filter).toBeNull()
+  })
+
+  it('rejects invalid predicates', () => {
+    expect(() => Plain.eq('', 'x')).toThrow('Plaintext meta names must be non-empty strings')
+    expect(() => Plain.anyOf('a', [])).toThrow('anyOf() requires a non-empty array of values')
+    expect(() => Plain.and()).toThrow('Predicate groups require at least one predicate')
+    expect(() => Plain.or({ eq: {} })).toThrow('Predicate groups only accept Plain predicates')
+  })
+})
@@ -0,0 +1,127 @@
+import { default as Client } from '../client'
+import { default as IncomingSharingPolicy } from '../types/incomingSharingPolicy'
+import { default as OutgoingSharingPolicy } from '../types/outgoingSharingPolicy'
+import { default as Policy } from '../types/policy'
+import { fakeConfig, fakeTransport, jsonResponse } from './helpers/fakeServer'
+
+let clientId = '00000000-0000-0000-0000-000000000000'
+let readerId = '00000000-0000-0000-0000-000000000001'
+let config = fakeConfig(clientId)
+
+/* eslint-disable camelcase */
+function fakeServer() {
+  let server = { policies: {} }
+
+  server.transport = fakeTransport(async request => {
+    let { path, parts } = request
+    if (parts[3] !== 'policy') {
+      return
+    }
+
+    let id = parts.slice(4).join('/')
+    if (request.method === 'PUT') {
+      server.policies[id] = request.body
+      return jsonResponse({})
+    }
+    if (path === '/v1/storage/policy/outgoing') {
+      return jsonResponse(
+        Object.keys(server.policies).map(key => ({
+          reader_id: key.split('/')[2],
+          record_type: key.split('/')[3],
+          policy: server.policies[key]
+        }))
+      )
+    }
+
+    return server.policies[id] === undefined
+      ? jsonResponse({}, 404)
+      : jsonResponse(server.policies[id])
+  })
+
+  return server
+}
+/* eslint-enable */
+
+describe('Policy', () => {
+  it('serializes allowed and denied actions with their conditions', () => {
+    let policy = new Policy()
+      .allow('read')
+      .allow('write', { type: 'lyric' })
+      .deny('delete')
+
+    expect(policy.serializable()).toEqual({
+      allow: [{ read: {} }, { write: { type: 'lyric' } }],
+      deny: [{ delete: {} }]
+    })
+    expect(new Policy().allow('read').serializable()).toEqual({ allow: [{ read: {} }] })
+  })
+
+  it('lets denials win over allowances', () => {
+    let policy = new Policy().allow('read').allow('share').deny('share')
+
+    expect(policy.allows('read')).toBe(true)
+    expect(policy.allows('share')).toBe(false)
+    expect(policy.allows('write')).toBe(false)
+  })
+
+  it('rejects unknown actions but preserves them when decoding', async () => {
+    expect(() => new Policy().allow('fly')).toThrow('Policy action must be one of')
+
+    let policy = await Policy.decode({ allow: [{ read: {} }, { future: { x: 1 } }] })
+    expect(policy.allowed).toEqual({ read: {}, future: { x: 1 } })
+    expect(policy.denied).toEqual({})
+    expect(policy.serializable()).toEqual({ allow: [{ read: {} }, { future: { x: 1 } }] })
+  })
+
+  it('is carried by sharing policy listings', async () => {
+    /* eslint-disable camelcase */
+    let outgoing = await OutgoingSharingPolicy.decode({
+      reader_id: readerId,
+      record_type: 'lyric',
+      policy: { allow: [{ read: {} }], deny: [{ share: {} }] }
+    })
+    let incoming = await IncomingSharingPolicy.decode({
+      writer_id: clientId,
+      record_type: 'lyric',
+      authorized_by: readerId
+    })
+    /* eslint-enable */
+
+    expect(outgoing.policy).toBeInstanceOf(Policy)
+    expect(outgoing.policy.allows('read')).toBe(true)
+    expect(outgoing.policy.allows('share')).toBe(false)
+    expect(outgoing.authorizedBy).toBeNull()
+    expect(incoming.policy).toBeNull()
+    expect(incoming.authorizedBy).toBe(readerId)
+  })
+})
+
+describe('Client policies', () => {
+  it('sets and gets policies', async () => {
+    let server = fakeServer()
+    let client = new Client(config, server.transport)
+    let policy = new Policy().allow('read').allow('write').deny('delete')
+
+    expect(await client.getPolicy(clientId, clientId, readerId, 'lyric')).toBeNull()
+
+    await client.setPolicy(clientId, clientId, readerId, 'lyric', policy)
+    let stored = await client.getPolicy(clientId, clientId, readerId, 'lyric')
+
+    expect(stored.serializable()).toEqual(policy.serializable())
+    expect(stored.allows('write')).toBe(true)
+
+    let listed = await client.outgoingSharing()
+    expect(listed[0].policy.serializable()).toEqual(policy.serializable())
+  })
+
+  it('accepts policies as JSON', async () => {
+    let server = fakeServer()
+    let client = new Client(config, server.transport)
+
+    await client.setPolicy(clientId, clientId, readerId, 'lyric', { deny: [{ read: {} }] })
+
+    expect(server.policies[[clientId, clientId, readerId, 'lyric'].join('/')]).toEqual({
+      deny: [{ read: {} }]
+    })
+  })
+})
@@ -0,0 +1,112 @@
+import { default as Client } from '../client'
+import { default as Config } from '../config'
+import { default as QueryBuilder } from '../queryBuilder'
+import { default as QueryResult } from '../types/queryResult'
+
+let config = new Config(
+  '00000000-0000-0000-0000-000000000000',
+  'thisisabogusapikeyid',
+  'thisisabogusapisecret',
+  'publickey',
+  'privatekey',
+  'https://localhost'
+)
+
+describe('QueryBuilder', () => {
+  it('builds a query exposing every filter', () => {
+    let query = new Client(config)
+      .find()
+      .types('contact', 'note')
+      .writers(['w1'])
+      .users('u1', 'u2')
+      .records('r1')
+      .plain({ eq: { name: 'flag', value: 'on' } })
+      .includeData()
+      .pageSize(25)
+      .build()
+
+    expect(query.serializable()).toEqual({
+      count: 25,
+      include_data: true,
+      writer_ids: ['w1'],
+      user_ids: ['u1', 'u2'],
+      record_ids: ['r1'],
+      content_types: ['contact', 'note'],
+      plain: { eq: { name: 'flag', value: 'on' } },
+      after_index: 0,
+      include_all_writers: false
+    })
+  })
+
+  it('defaults to meta-only queries over the current writer set', () => {
+    let query = new QueryBuilder(null).allWriters().build()
+
+    expect(query.includeData).toBe(false)
+    expect(query.includeAllWriters).toBe(true)
+    expect(query.writerIds).toBeNull()
+    expect(query.count).toBe(100)
+  })
+
+  it('produces a query result carrying the limit', () => {
+    let client = new Client(config)
+    let result = client
+      .find()
+      .types('contact')
+      .limit(10)
+      .execute()
+
+    expect(result).toBeInstanceOf(QueryResult)
+    expect(result.client).toBe(client)
+    expect(result.limit).toBe(10)
+    expect(result.query.contentTypes).toEqual(['contact'])
+  })
+
+  it('rejects invalid input', () => {
+    let builder = new QueryBuilder(null)
+
+    expect(() => builder.types()).toThrow('types() requires at least one value')
+    expect(() => builder.writers('w1', 7)).toThrow('writers() only accepts non-empty strings')
+    expect(() => builder.users('')).toThrow('users() only accepts non-empty strings')
+    expect(() => builder.plain(null)).toThrow('plain() requires an object')
+    expect(() => builder.plain(['a'])).toThrow('plain() requires an object')
+    expect(() => builder.pageSize(0)).toThrow('pageSize() requires a positive integer')
+    expect(() => builder.limit(1.5)).toThrow('limit() requires a positive integer')
+    expect(() =>
+      builder
+        .writers('w1')
+        .allWriters()
+        .build()
+    ).toThrow('writers() and allWriters() cannot be combined')
+  })
+
+  it('sets date ranges and ordering', () => {
+    let query = new QueryBuilder(null)
+      .createdAfter('2018-01-01T00:00:00Z')
+      .createdBefore(Date.UTC(2018, 1, 1))
+      .modifiedAfter(new Date('2018-01-15T00:00:00Z'))
+      .order('desc')
+      .build()
+
+    expect(query.serializable()).toMatchObject({
+      created_after: '2018-01-01T00:00:00.000Z',
+      created_before: '2018-02-01T00:00:00.000Z',
+      modified_after: '2018-01-15T00:00:00.000Z',
+      order: 'desc'
+    })
+    expect(query.modifiedBefore).toBeNull()
+    expect(() => new QueryBuilder(null).createdAfter('yesterday')).toThrow(
+      'createdAfter must be a valid date'
+    )
+    expect(() => new QueryBuilder(null).order('up')).toThrow(
+      "order must be either 'asc' or 'desc'"
+    )
+  })
+
+  it('sets the fields to decrypt without sending them to the server', () => {
+    let query = new QueryBuilder(null).fields('name', 'phone').build()
+
+    expect(query.fields).toEqual(['name', 'phone'])
+    expect(query.serializable().fields).toBeUndefined()
+    expect(() => new QueryBuilder(null).fields()).toThrow('fields() requires at least one value')
+  })
+})
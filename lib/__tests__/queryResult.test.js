@@ -0,0 +1,225 @@
+import { default as Client } from '../client'
+import { default as Crypto } from '../crypto'
+import { default as Plain } from '../plain'
+import { default as Query } from '../types/query'
+import { default as QueryResult } from '../types/queryResult'
+import { default as Meta } from '../types/meta'
+import { default as Record } from '../types/record'
+import { default as RecordData } from '../types/recordData'
+
+const asyncIterator = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')
+
+function result(recordId) {
+  return {
+    meta: {
+      record_id: recordId,
+      writer_id: '1234',
+      user_id: '1234',
+      type: 'misc',
+      plain: Number(recordId) % 2 === 0 ? { even: 'yes' } : {},
+      created: 1509557668,
+      last_modified: 1509557668,
+      version: '1222'
+    },
+    record_data: {},
+    access_key: null
+  }
+}
+
+function fakeClient(pages) {
+  let calls = 0
+  return {
+    calls: () => calls,
+    _query: async () => {
+      let page = pages[calls] || []
+      calls += 1
+      return { results: page.map(result), last_index: calls }
+    }
+  }
+}
+
+async function collect(iterator) {
+  let ids = []
+  let step = await iterator.next()
+  while (!step.done) {
+    ids.push(step.value.meta.recordId)
+    step = await iterator.next()
+  }
+  return ids
+}
+
+describe('QueryResult', () => {
+  it('iterates records across pages', async () => {
+    let client = fakeClient([['1', '2'], ['3']])
+    let result = new QueryResult(client, new Query())
+
+    let ids = await collect(result[asyncIterator]())
+
+    expect(ids).toEqual(['1', '2', '3'])
+    expect(client.calls()).toBe(3)
+    expect(result.done).toBe(true)
+  })
+
+  it('stops fetching once the limit is reached', async () => {
+    let client = fakeClient([['1', '2'], ['3', '4'], ['5']])
+    let result = new QueryResult(client, new Query(), 3)
+
+    let ids = await collect(result[asyncIterator]())
+
+    expect(ids).toEqual(['1', '2', '3'])
+    expect(client.calls()).toBe(2)
+  })
+
+  it('stops fetching after an early return', async () => {
+    let client = fakeClient([['1', '2'], ['3']])
+    let result = new QueryResult(client, new Query())
+    let iterator = result[asyncIterator]()
+
+    let first = await iterator.next()
+    expect(first.value.meta.recordId).toBe('1')
+
+    let returned = await iterator.return()
+    expect(returned.done).toBe(true)
+
+    let after = await iterator.next()
+    expect(after.done).toBe(true)
+    expect(client.calls()).toBe(1)
+  })
+
+  it('filters pages client-side with predicates the server cannot evaluate', async () => {
+    let client = fakeClient([['1', '3'], ['4', '5'], ['7'], ['8']])
+    let query = new Query(0, false, null, null, null, Plain.exists('even'))
+    let result = new QueryResult(client, query)
+
+    expect((await result.next()).map(record => record.meta.recordId)).toEqual(['4'])
+    expect(client.calls()).toBe(2)
+    expect((await result.next()).map(record => record.meta.recordId)).toEqual(['8'])
+    expect(await result.next()).toEqual([])
+    expect(result.done).toBe(true)
+  })
+
+  it('enforces date ranges client-side', async () => {
+    let dated = (id, created) =>
+      Object.assign(result(id), {
+        meta: Object.assign(result(id).meta, { created: created, last_modified: created })
+      })
+    let client = {
+      _query: async query =>
+        query.afterIndex === 0
+          ? {
+              results: [
+                dated('1', '2018-01-01T00:00:00Z'),
+                dated('2', '2018-01-02T00:00:00Z'),
+                dated('3', '2018-01-03T00:00:00Z')
+              ],
+              last_index: 3
+            }
+          : { results: [], last_index: 3 }
+    }
+    let query = new Query().withOptions({
+      createdAfter: '2018-01-01T00:00:00Z',
+      modifiedBefore: new Date('2018-01-03T00:00:00Z')
+    })
+
+    let records = await new QueryResult(client, query).next()
+
+    expect(records.map(record => record.meta.recordId)).toEqual(['2'])
+  })
+
+  it('orders records across pages', async () => {
+    let dated = (id, created) =>
+      Object.assign(result(id), {
+        meta: Object.assign(result(id).meta, { created: created })
+      })
+    let pages = [
+      [dated('1', '2018-01-02T00:00:00Z'), dated('2', '2018-01-04T00:00:00Z')],
+      [dated('3', '2018-01-01T00:00:00Z'), dated('4', '2018-01-03T00:00:00Z')]
+    ]
+    let calls = 0
+    let client = {
+      _query: async () => {
+        let page = pages[calls] || []
+        calls += 1
+        return { results: page, last_index: calls }
+      }
+    }
+    let query = new Query(0, false, null, null, null, null, null, 3).withOptions({
+      order: 'desc'
+    })
+    let ordered = new QueryResult(client, query)
+
+    let first = await ordered.next()
+    expect(first.map(record => record.meta.recordId)).toEqual(['2', '4', '1'])
+    expect(calls).toBe(3)
+    expect(ordered.done).toBe(false)
+
+    let ids = await collect(ordered[asyncIterator]())
+    expect(ids).toEqual(['3'])
+    expect(ordered.done).toBe(true)
+  })
+
+  it('sorts on meta alone and fetches data a page at a time', async () => {
+    let dated = (id, created) =>
+      Object.assign(result(id), {
+        meta: Object.assign(result(id).meta, { created: created })
+      })
+    let all = [
+      dated('1', '2018-01-02T00:00:00Z'),
+      dated('2', '2018-01-04T00:00:00Z'),
+      dated('3', '2018-01-01T00:00:00Z'),
+      dated('4', '2018-01-03T00:00:00Z')
+    ]
+    let queries = []
+    let client = {
+      _query: async query => {
+        queries.push(query.serializable())
+        let matching = all.filter(
+          found => query.recordIds === null || query.recordIds.indexOf(found.meta.record_id) !== -1
+        )
+        let page = matching.slice(query.afterIndex, query.afterIndex + 2)
+        return { results: page, last_index: query.afterIndex + page.length }
+      }
+    }
+    let query = new Query(0, true, null, null, null, null, null, 2).withOptions({
+      order: 'asc'
+    })
+    let ordered = new QueryResult(client, query, 3)
+
+    let ids = await collect(ordered[asyncIterator]())
+
+    expect(ids).toEqual(['3', '1', '4'])
+    expect(queries.slice(0, 3).map(sent => sent.include_data)).toEqual([false, false, false])
+    expect(queries.slice(3).map(sent => [sent.include_data, sent.record_ids])).toEqual([
+      [true, ['3', '1']],
+      [true, ['4']]
+    ])
+  })
+
+  it('decrypts only the projected fields', async () => {
+    let keys = await Client.generateKeypair()
+    let ak = await Crypto.randomKey()
+    let record = new Record(
+      new Meta('1234', '1234', 'misc', {}),
+      new RecordData({ name: 'Jon', notes: 'long text' })
+    )
+    let encrypted = JSON.parse((await Crypto.encryptRecord(record, ak)).stringify())
+    let found = Object.assign(result('1'), {
+      record_data: encrypted.data,
+      access_key: {
+        eak: await Crypto.encryptAk(keys.privateKey, ak, keys.publicKey),
+        authorizer_id: '1234',
+        authorizer_public_key: { curve25519: keys.publicKey }
+      }
+    })
+    let client = {
+      config: { privateKey: keys.privateKey },
+      _query: async query =>
+        query.afterIndex === 0 ? { results: [found], last_index: 1 } : { results: [], last_index: 1 }
+    }
+    let query = new Query(0, true).withOptions({ fields: ['name'] })
+
+    let records = await new QueryResult(client, query).next()
+
+    expect(records[0].data).toEqual({ name: 'Jon' })
+  })
+})
@@ -0,0 +1,166 @@
+import { default as Client } from '../client'
+import { default as Crypto } from '../crypto'
+import { default as EAKInfo } from '../types/eakInfo'
+import { default as Meta } from '../types/meta'
+import { default as Record } from '../types/record'
+import { default as RecordData } from '../types/recordData'
+import { fakeConfig, fakeServer } from './helpers/fakeServer'
+
+let me = '00000000-0000-0000-0000-000000000001'
+let reader = '00000000-0000-0000-0000-000000000002'
+let revoked = '00000000-0000-0000-0000-000000000003'
+let authorizer = '00000000-0000-0000-0000-000000000004'
+
+/**
+ * Conflicts can be injected by listing record IDs in `conflicts`.
+ */
+function rekeyServer(keys) {
+  let server = fakeServer(keys, async ({ parts }) => {
+    let index = server.conflicts.indexOf(parts[5])
+    if (parts[4] === 'safe' && index !== -1) {
+      server.conflicts.splice(index, 1)
+      let stored = server.records[parts[5]]
+      stored.meta.version = String(Number(stored.meta.version) + 1)
+    }
+  })
+  server.conflicts = []
+
+  return server
+}
+
+/* eslint-disable camelcase */
+
+async function storeRecord(server, id, ak, data) {
+  let meta = new Meta(me, me, 'secret', {})
+  let encrypted = await Crypto.encryptRecord(new Record(meta, new RecordData(data)), ak)
+  server.records[id] = JSON.parse(encrypted.stringify())
+  server.records[id].meta.record_id = id
+  server.records[id].meta.version = '1'
+}
+
+async function openRecord(server, id, ak) {
+  let record = await Record.decode(server.records[id])
+  return Crypto.decryptRecord(record, ak)
+}
+
+/* eslint-enable */
+
+async function setup() {
+  let keys = {
+    [me]: await Client.generateKeypair(),
+    [reader]: await Client.generateKeypair(),
+    [revoked]: await Client.generateKeypair(),
+    [authorizer]: await Client.generateKeypair()
+  }
+  let server = rekeyServer(keys)
+  let oldAk = await Crypto.randomKey()
+
+  server.eaks[[me, me, me, 'secret'].join('/')] = {
+    eak: await Crypto.encryptAk(keys[me].privateKey, oldAk, keys[me].publicKey),
+    authorizer: me
+  }
+  server.policies[[me, me, reader, 'secret'].join('/')] = { allow: [{ read: {} }] }
+  server.policies[[me, me, reader, 'other'].join('/')] = { allow: [{ read: {} }] }
+  server.policies[[me, me, authorizer, 'secret'].join('/')] = { allow: [{ authorizer: {} }] }
+  await storeRecord(server, 'r1', oldAk, { song: 'one' })
+  await storeRecord(server, 'r2', oldAk, { song: 'two' })
+
+  let config = fakeConfig(me, keys[me])
+  let client = new Client(config, server.transport)
+
+  return { keys, server, client, oldAk }
+}
+
+async function readerAk({ keys, server }, readerId) {
+  let eak = server.eaks[[me, me, readerId, 'secret'].join('/')].eak
+  return Crypto.decryptEak(
+    keys[readerId].privateKey,
+    new EAKInfo(eak, me, keys[me].publicKey, null, null)
+  )
+}
+
+describe('Re-keying a type', () => {
+  it('re-encrypts records and re-issues keys to current readers', async () => {
+    let env = await setup()
+    let progress = []
+
+    let state = await env.client.rekeyType('secret', null, s => {
+      progress.push(s.records.length)
+    })
+
+    let ak = await Crypto.b64decode(state.accessKey)
+    expect(ak).not.toEqual(env.oldAk)
+    expect(state.records).toEqual(['r1', 'r2'])
+    expect(state.readers).toEqual([reader, authorizer])
+    expect(progress).toEqual([0, 1, 2, 2, 2])
+
+    expect((await openRecord(env.server, 'r1', ak)).data.song).toBe('one')
+    expect((await openRecord(env.server, 'r2', ak)).data.song).toBe('two')
+    expect(await readerAk(env, reader)).toEqual(ak)
+    expect(await readerAk(env, authorizer)).toEqual(ak)
+    expect(env.server.eaks[[me, me, revoked, 'secret'].join('/')]).toBeUndefined()
+
+    let written = await env.client.read('r1')
+    expect(written.data.song).toBe('one')
+  })
+
+  it('re-wraps the stream keys of files', async () => {
+    let env = await setup()
+    let streamKey = await Crypto.randomStreamKey()
+    await storeRecord(env.server, 'r3', env.oldAk, {
+      'e3db.fk': await Crypto.wrapStreamKey(streamKey, env.oldAk)
+    })
+
+    let state = await env.client.rekeyType('secret')
+
+    let ak = await Crypto.b64decode(state.accessKey)
+    let file = await openRecord(env.server, 'r3', ak)
+    expect(await Crypto.unwrapStreamKey(file.data['e3db.fk'], ak)).toEqual(streamKey)
+  })
+
+  it('retries records modified concurrently', async () => {
+    let env = await setup()
+    env.server.conflicts = ['r1']
+
+    let state = await env.client.rekeyType('secret')
+
+    expect(state.records).toEqual(['r1', 'r2'])
+    expect(state.conflicts).toEqual([])
+    let ak = await Crypto.b64decode(state.accessKey)
+    expect((await openRecord(env.server, 'r1', ak)).data.song).toBe('one')
+  })
+
+  it('reports records that keep conflicting', async () => {
+    let env = await setup()
+    env.server.conflicts = ['r2', 'r2', 'r2']
+
+    let state = await env.client.rekeyType('secret')
+
+    expect(state.records).toEqual(['r1'])
+    expect(state.conflicts).toEqual(['r2'])
+    expect((await openRecord(env.server, 'r2', env.oldAk)).data.song).toBe('two')
+  })
+
+  it('resumes an interrupted attempt', async () => {
+    let env = await setup()
+    let saved = null
+
+    try {
+      await env.client.rekeyType('secret', null, state => {
+        saved = JSON.parse(JSON.stringify(state))
+        if (state.records.length === 1) {
+          throw new Error('interrupted')
+        }
+      })
+    } catch (e) {
+      expect(e.message).toBe('interrupted')
+    }
+
+    let state = await env.client.rekeyType('secret', saved)
+
+    let ak = await Crypto.b64decode(state.accessKey)
+    expect(state.records).toEqual(['r1', 'r2'])
+    expect((await openRecord(env.server, 'r1', ak)).data.song).toBe('one')
+    expect((await openRecord(env.server, 'r2', ak)).data.song).toBe('two')
+  })
+})
@@ -0,0 +1,99 @@
+import { default as Client } from '../client'
+import { default as Meta } from '../types/meta'
+import { default as Record } from '../types/record'
+import { default as RetryPolicy } from '../retry'
+import { fakeConfig, fakeTransport, jsonResponse } from './helpers/fakeServer'
+
+let clientId = '00000000-0000-0000-0000-000000000000'
+
+/* eslint-disable camelcase */
+function flakyClient(failures, retryPolicy) {
+  let calls = []
+  let remaining = failures.slice()
+  let transport = fakeTransport(request => {
+    if (request.path === '/v1/auth/token') {
+      return
+    }
+
+    calls.push(request.method + ' ' + request.url)
+    if (remaining.length > 0) {
+      let failure = remaining.shift()
+      if (failure instanceof Error) {
+        throw failure
+      }
+
+      return failure
+    }
+
+    return jsonResponse({
+      client_id: clientId,
+      public_key: { curve25519: 'publickey' },
+      validated: true
+    })
+  })
+
+  return { calls: calls, client: new Client(fakeConfig(clientId), transport, { retryPolicy }) }
+}
+/* eslint-enable */
+
+describe('RetryPolicy', () => {
+  it('retries idempotent requests after transient failures', async () => {
+    let { calls, client } = flakyClient(
+      [jsonResponse({}, 503), new Error('socket hang up'), jsonResponse({}, 429)],
+      new RetryPolicy({ minDelay: 1 })
+    )
+
+    let info = await client.getClient(clientId)
+
+    expect(info.clientId).toBe(clientId)
+    expect(calls.length).toBe(4)
+  })
+
+  it('gives up once retries are exhausted', async () => {
+    expect.assertions(2)
+    let { calls, client } = flakyClient(
+      [jsonResponse({}, 502), jsonResponse({}, 502)],
+      new RetryPolicy({ retries: 1, minDelay: 1 })
+    )
+
+    try {
+      await client.getClient(clientId)
+    } catch (e) {
+      expect(e.message).toBe('Status 502')
+    }
+    expect(calls.length).toBe(2)
+  })
+
+  it('does not retry record writes unless asked to', async () => {
+    expect.assertions(2)
+    let { calls, client } = flakyClient(
+      [jsonResponse({}, 503)],
+      new RetryPolicy({ minDelay: 1 })
+    )
+    let record = new Record(new Meta(clientId, clientId, 'type', {}), {})
+
+    try {
+      await client.writeRaw(record)
+    } catch (e) {
+      expect(e.message).toBe('Status 503')
+    }
+    expect(calls.length).toBe(1)
+  })
+
+  it('prefers the Retry-After header', () => {
+    let policy = new RetryPolicy({ maxDelay: 60000 })
+
+    expect(policy.delay(0, jsonResponse({}, 429, { 'Retry-After': '2' }))).toBe(2000)
+
+    let date = new Date(Date.now() + 600000).toUTCString()
+    expect(policy.delay(0, jsonResponse({}, 503, { 'Retry-After': date }))).toBe(60000)
+  })
+
+  it('backs off exponentially without jitter', () => {
+    let policy = new RetryPolicy({ minDelay: 100, maxDelay: 1000, jitter: false })
+
+    expect(policy.delay(0)).toBe(100)
+    expect(policy.delay(2)).toBe(400)
+    expect(policy.delay(5)).toBe(1000)
+  })
+})
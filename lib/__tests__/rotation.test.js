@@ -0,0 +1,133 @@
+import { default as Client } from '../client'
+import { default as Crypto } from '../crypto'
+import { default as EAKInfo } from '../types/eakInfo'
+import { fakeConfig, fakeServer, jsonResponse } from './helpers/fakeServer'
+
+let me = '00000000-0000-0000-0000-000000000001'
+let writer = '00000000-0000-0000-0000-000000000002'
+let reader = '00000000-0000-0000-0000-000000000003'
+let authorizer = '00000000-0000-0000-0000-000000000004'
+
+/**
+ * Clients can register new public keys, which access keys then report for
+ * their authorizer as the real server does.
+ */
+function rotationServer(keys) {
+  let publicKeys = {}
+  for (let id of Object.keys(keys)) {
+    publicKeys[id] = { publicKey: keys[id].publicKey }
+  }
+
+  let server = fakeServer(publicKeys, async ({ path, body }) => {
+    if (path === '/v1/storage/clients/' + me + '/keys') {
+      server.keys[me].publicKey = body.public_key.curve25519
+      return jsonResponse({})
+    }
+  })
+
+  return server
+}
+
+async function openFor(server, id, privateKey) {
+  let stored = server.eaks[id]
+  let authorizerKey = server.keys[stored.authorizer].publicKey
+  let eak = new EAKInfo(stored.eak, stored.authorizer, authorizerKey, null, null)
+  return Crypto.decryptEak(privateKey, eak)
+}
+
+async function setup() {
+  let keys = {
+    [me]: await Client.generateKeypair(),
+    [writer]: await Client.generateKeypair(),
+    [reader]: await Client.generateKeypair(),
+    [authorizer]: await Client.generateKeypair()
+  }
+  let server = rotationServer(keys)
+  let ownAk = await Crypto.randomKey()
+  let sharedAk = await Crypto.randomKey()
+  let delegatedAk = await Crypto.randomKey()
+
+  server.eaks[[me, me, me, 'mine'].join('/')] = {
+    eak: await Crypto.encryptAk(keys[me].privateKey, ownAk, keys[me].publicKey),
+    authorizer: me
+  }
+  server.eaks[[me, me, reader, 'mine'].join('/')] = {
+    eak: await Crypto.encryptAk(keys[me].privateKey, ownAk, keys[reader].publicKey),
+    authorizer: me
+  }
+  server.eaks[[me, me, authorizer, 'mine'].join('/')] = {
+    eak: await Crypto.encryptAk(keys[me].privateKey, ownAk, keys[authorizer].publicKey),
+    authorizer: me
+  }
+  server.eaks[[writer, writer, me, 'delegated'].join('/')] = {
+    eak: await Crypto.encryptAk(keys[writer].privateKey, delegatedAk, keys[me].publicKey),
+    authorizer: writer
+  }
+  server.eaks[[writer, writer, me, 'theirs'].join('/')] = {
+    eak: await Crypto.encryptAk(keys[writer].privateKey, sharedAk, keys[me].publicKey),
+    authorizer: writer
+  }
+
+  /* eslint-disable camelcase */
+  server.records.r1 = {
+    meta: { record_id: 'r1', writer_id: me, user_id: me, type: 'mine', plain: {} },
+    data: {}
+  }
+  /* eslint-enable */
+  server.policies[[me, me, reader, 'mine'].join('/')] = { allow: [{ read: {} }] }
+  server.policies[[me, me, authorizer, 'mine'].join('/')] = { allow: [{ authorizer: {} }] }
+  server.policies[[writer, writer, me, 'theirs'].join('/')] = { allow: [{ read: {} }] }
+  server.policies[[writer, writer, me, 'delegated'].join('/')] = { allow: [{ authorizer: {} }] }
+
+  let config = fakeConfig(me, keys[me])
+  let client = new Client(config, server.transport)
+
+  return { keys, server, client, ownAk, sharedAk, delegatedAk }
+}
+
+async function expectRotated({ keys, server, ownAk, sharedAk, delegatedAk }, config) {
+  expect(server.keys[me].publicKey).toBe(config.publicKey)
+  expect(config.publicKey).not.toBe(keys[me].publicKey)
+
+  expect(await openFor(server, [me, me, me, 'mine'].join('/'), config.privateKey)).toEqual(ownAk)
+  expect(await openFor(server, [writer, writer, me, 'theirs'].join('/'), config.privateKey)).toEqual(sharedAk)
+  expect(await openFor(server, [me, me, reader, 'mine'].join('/'), keys[reader].privateKey)).toEqual(ownAk)
+  expect(await openFor(server, [me, me, authorizer, 'mine'].join('/'), keys[authorizer].privateKey)).toEqual(ownAk)
+  expect(await openFor(server, [writer, writer, me, 'delegated'].join('/'), config.privateKey)).toEqual(delegatedAk)
+}
+
+describe('Key rotation', () => {
+  it('re-encrypts every access key for the new keypair', async () => {
+    let env = await setup()
+
+    let config = await env.client.rotateEncryptionKey()
+
+    expect(env.client.config).toBe(config)
+    await expectRotated(env, config)
+  })
+
+  it('resumes an interrupted rotation', async () => {
+    let env = await setup()
+    let saved = null
+    let steps = 0
+
+    try {
+      await env.client.rotateEncryptionKey(null, state => {
+        saved = JSON.parse(JSON.stringify(state))
+        steps += 1
+        if (steps === 3) {
+          throw new Error('interrupted')
+        }
+      })
+    } catch (e) {
+      expect(e.message).toBe('interrupted')
+    }
+
+    expect(saved.registered).toBe(true)
+    expect(saved.completed.length).toBe(1)
+
+    let config = await env.client.rotateEncryptionKey(saved)
+
+    await expectRotated(env, config)
+  })
+})
@@ -0,0 +1,145 @@
+import { default as Client } from '../client'
+import { default as Crypto } from '../crypto'
+import { ClientNotFoundError, E3dbHttpError } from '../errors'
+import { default as EAKInfo } from '../types/eakInfo'
+import { fakeConfig, fakeServer, jsonResponse } from './helpers/fakeServer'
+
+let clientId = '00000000-0000-0000-0000-000000000000'
+let readers = ['00000000-0000-0000-0000-000000000001', '00000000-0000-0000-0000-000000000002']
+
+/**
+ * Policies listed in `failing` cannot be written.
+ */
+async function setup() {
+  let keys = {}
+  for (let id of [clientId].concat(readers)) {
+    keys[id] = await Client.generateKeypair()
+  }
+
+  let failing = []
+  let server = fakeServer(keys, async ({ parts }) => {
+    if (parts[3] === 'policy' && failing.indexOf(parts.slice(4).join('/')) !== -1) {
+      return jsonResponse({ error: 'unavailable' }, 500)
+    }
+  })
+  server.failing = failing
+
+  let config = fakeConfig(clientId, keys[clientId])
+
+  return { server, keys, client: new Client(config, server.transport) }
+}
+
+let pairId = (readerId, type) => [clientId, clientId, readerId, type].join('/')
+let lookups = (server, readerId) =>
+  server.calls.filter(call => call === 'GET /v1/storage/clients/' + readerId).length
+let summary = results =>
+  results.map(result => [result.type, result.readerId, result.error === null, result.rolledBack])
+
+describe('Bulk sharing', () => {
+  it('shares many types with many readers, looking each reader up once', async () => {
+    let { server, keys, client } = await setup()
+    let progress = []
+
+    let results = await client.shareMany(
+      { types: ['lyric', 'album'], readers: readers.concat([clientId]) },
+      { concurrency: 2, onProgress: (done, total) => progress.push([done, total]) }
+    )
+
+    expect(summary(results)).toEqual([
+      ['lyric', readers[0], true, false],
+      ['lyric', readers[1], true, false],
+      ['lyric', clientId, true, false],
+      ['album', readers[0], true, false],
+      ['album', readers[1], true, false],
+      ['album', clientId, true, false]
+    ])
+    expect(lookups(server, readers[0])).toBe(1)
+    expect(lookups(server, readers[1])).toBe(1)
+    expect(progress[progress.length - 1]).toEqual([6, 6])
+    expect(server.policies[pairId(readers[1], 'album')]).toEqual({ allow: [{ read: {} }] })
+
+    let eak = new EAKInfo(server.eaks[pairId(readers[1], 'album')].eak, clientId, keys[clientId].publicKey)
+    expect(await Crypto.decryptEak(keys[readers[1]].privateKey, eak)).toEqual(
+      await client.accessKeyCache.get(clientId, clientId, 'album')
+    )
+  })
+
+  it('reports failures for each pair', async () => {
+    let { server, client } = await setup()
+    server.failing.push(pairId(readers[0], 'album'))
+
+    let results = await client.shareMany({
+      types: ['lyric', 'album'],
+      readers: readers.concat(['nobody@example.com'])
+    })
+
+    expect(summary(results)).toEqual([
+      ['lyric', readers[0], true, false],
+      ['lyric', readers[1], true, false],
+      ['lyric', null, false, false],
+      ['album', readers[0], false, false],
+      ['album', readers[1], true, false],
+      ['album', null, false, false]
+    ])
+    expect(results[2].reader).toBe('nobody@example.com')
+    expect(results[2].error).toBeInstanceOf(ClientNotFoundError)
+    expect(results[3].error).toBeInstanceOf(E3dbHttpError)
+    expect(server.policies[pairId(readers[1], 'album')]).toEqual({ allow: [{ read: {} }] })
+  })
+
+  it('rolls back what it shared when a pair fails', async () => {
+    let { server, client } = await setup()
+    await client.share('lyric', readers[0])
+    server.failing.push(pairId(readers[1], 'album'))
+
+    let results = await client.shareMany(
+      { types: ['lyric', 'album'], readers },
+      { rollback: true }
+    )
+
+    expect(summary(results)).toEqual([
+      ['lyric', readers[0], true, false],
+      ['lyric', readers[1], true, true],
+      ['album', readers[0], true, true],
+      ['album', readers[1], false, false]
+    ])
+    expect(results[3].rollbackError).toBeInstanceOf(E3dbHttpError)
+    expect(server.policies[pairId(readers[0], 'lyric')]).toEqual({ allow: [{ read: {} }] })
+    expect(server.policies[pairId(readers[1], 'lyric')]).toEqual({ deny: [{ read: {} }] })
+    expect(server.eaks[pairId(readers[0], 'album')]).toBeUndefined()
+  })
+
+  it('revokes many types from many readers', async () => {
+    let { server, client } = await setup()
+    await client.share('lyric', readers[0])
+
+    let results = await client.revokeMany({ types: ['lyric', 'album'], readers })
+
+    expect(results.every(result => result.error === null)).toBe(true)
+    expect(server.policies[pairId(readers[0], 'lyric')]).toEqual({ deny: [{ read: {} }] })
+    expect(server.policies[pairId(readers[1], 'album')]).toEqual({ deny: [{ read: {} }] })
+    expect(server.eaks[pairId(readers[0], 'lyric')]).toBeUndefined()
+  })
+
+  it('re-shares what it revoked when a pair fails', async () => {
+    let { server, client } = await setup()
+    await client.share('lyric', readers[0])
+    await client.share('lyric', readers[1])
+    server.failing.push(pairId(readers[1], 'album'))
+
+    let results = await client.revokeMany(
+      { types: ['lyric', 'album'], readers },
+      { rollback: true }
+    )
+
+    expect(summary(results)).toEqual([
+      ['lyric', readers[0], true, true],
+      ['lyric', readers[1], true, true],
+      ['album', readers[0], true, false],
+      ['album', readers[1], false, false]
+    ])
+    expect(server.policies[pairId(readers[0], 'lyric')]).toEqual({ allow: [{ read: {} }] })
+    expect(server.eaks[pairId(readers[1], 'lyric')]).toBeDefined()
+    expect(server.policies[pairId(readers[0], 'album')]).toEqual({ deny: [{ read: {} }] })
+  })
+})
@@ -0,0 +1,191 @@
+import { default as Client } from '../client'
+import { ForbiddenError, MissingAccessKeyError } from '../errors'
+import { fakeConfig, fakeServer } from './helpers/fakeServer'
+
+let writer = '00000000-0000-0000-0000-000000000001'
+let reader = '00000000-0000-0000-0000-000000000002'
+let other = '00000000-0000-0000-0000-000000000003'
+let recordReader = { allow: [{ read: {} }], deny: [{ share: {} }] }
+
+async function setup() {
+  let keys = {}
+  for (let id of [writer, reader, other]) {
+    let pair = await Client.generateKeypair()
+    let signing = await Client.generateSigningKeypair()
+    keys[id] = {
+      publicKey: pair.publicKey,
+      privateKey: pair.privateKey,
+      publicSignKey: signing.publicKey,
+      privateSignKey: signing.privateKey
+    }
+  }
+
+  let server = fakeServer(keys)
+  let client = id =>
+    new Client(
+      fakeConfig(id, keys[id], { publicKey: keys[id].publicSignKey, privateKey: keys[id].privateSignKey }),
+      server.transport,
+      { verify: 'required' }
+    )
+
+  let writerClient = client(writer)
+  await writerClient.write('lyric', { line: 'Say I am the only bee in your bonnet' })
+  await writerClient.write('lyric', { line: 'Make a little birdhouse in your soul' })
+
+  return { server, writerClient, readerClient: client(reader), otherClient: client(other) }
+}
+
+describe('Record sharing', () => {
+  it('shares a single record without the type access key', async () => {
+    let { server, writerClient, readerClient } = await setup()
+
+    await writerClient.shareRecord('r1', reader)
+
+    let record = await readerClient.read('r1')
+    expect(record.data.line).toBe('Say I am the only bee in your bonnet')
+    await expect(readerClient.read('r2')).rejects.toBeInstanceOf(MissingAccessKeyError)
+
+    expect(server.eaks[[writer, writer, reader, 'lyric'].join('/')]).toBeUndefined()
+    expect(server.policies[[writer, writer, reader, 'e3db.record.r1'].join('/')]).toEqual({
+      allow: [{ read: {} }]
+    })
+    expect(server.policies[[writer, writer, reader, 'lyric'].join('/')]).toEqual(recordReader)
+    expect((await writerClient.read('r1')).data.line).toBe(
+      'Say I am the only bee in your bonnet'
+    )
+  })
+
+  it('keeps the record shared as it is updated', async () => {
+    let { server, writerClient, readerClient } = await setup()
+    await writerClient.shareRecord('r1', reader)
+    await writerClient.shareRecord('r1', reader)
+    expect(server.records.r1.meta.version).toBe('2')
+
+    let record = await writerClient.read('r1')
+    record.data.line = 'Not to put too fine a point on it'
+    record.data.song = 'Birdhouse in Your Soul'
+    let before = record.stringify()
+    await writerClient.update(record)
+
+    expect(record.stringify()).toBe(before)
+    expect(server.records.r1.meta.plain['e3db.rk']).not.toBe(record.meta.plain['e3db.rk'])
+
+    let shared = await readerClient.read('r1')
+    expect(shared.data).toEqual({
+      line: 'Not to put too fine a point on it',
+      song: 'Birdhouse in Your Soul'
+    })
+  })
+
+  it('revokes access to a single record', async () => {
+    let { server, writerClient, readerClient } = await setup()
+    await writerClient.shareRecord('r1', reader)
+
+    await writerClient.revokeRecord('r1', reader)
+
+    await expect(readerClient.read('r1')).rejects.toBeInstanceOf(ForbiddenError)
+    expect(server.policies[[writer, writer, reader, 'e3db.record.r1'].join('/')]).toEqual({
+      deny: [{ read: {} }]
+    })
+    expect(server.policies[[writer, writer, reader, 'lyric'].join('/')]).toEqual({
+      deny: [{ read: {} }]
+    })
+  })
+
+  it('keeps access to the type while other records of it are shared', async () => {
+    let { server, writerClient, readerClient } = await setup()
+    await writerClient.shareRecord('r1', reader)
+    await writerClient.shareRecord('r2', reader)
+
+    await writerClient.revokeRecord('r1', reader)
+
+    expect(server.policies[[writer, writer, reader, 'lyric'].join('/')]).toEqual(recordReader)
+    expect((await readerClient.read('r2')).data.line).toBe(
+      'Make a little birdhouse in your soul'
+    )
+    await expect(readerClient.read('r1')).rejects.toBeInstanceOf(MissingAccessKeyError)
+  })
+
+  it('leaves readers of the whole type as they are', async () => {
+    let { server, writerClient, readerClient } = await setup()
+    await writerClient.share('lyric', reader)
+
+    await writerClient.shareRecord('r1', reader)
+    await writerClient.revokeRecord('r1', reader)
+
+    expect(server.policies[[writer, writer, reader, 'lyric'].join('/')]).toEqual({
+      allow: [{ read: {} }]
+    })
+    expect((await readerClient.read('r1')).data.line).toBe(
+      'Say I am the only bee in your bonnet'
+    )
+  })
+
+  it('does not issue the type access key to readers of single records', async () => {
+    let { server, writerClient, readerClient } = await setup()
+    await writerClient.shareRecord('r1', reader)
+
+    let state = await writerClient.rekeyType('lyric')
+
+    expect(state.readers).toEqual([])
+    expect(server.eaks[[writer, writer, reader, 'lyric'].join('/')]).toBeUndefined()
+    expect((await readerClient.read('r1')).data.line).toBe(
+      'Say I am the only bee in your bonnet'
+    )
+    await expect(readerClient.read('r2')).rejects.toBeInstanceOf(MissingAccessKeyError)
+  })
+
+  it('revokes a reader that was never given the record key', async () => {
+    let { server, writerClient } = await setup()
+    await writerClient.shareRecord('r1', reader)
+
+    expect(await writerClient.revokeRecord('r1', other)).toBe(true)
+    expect(server.policies[[writer, writer, other, 'e3db.record.r1'].join('/')]).toEqual({
+      deny: [{ read: {} }]
+    })
+  })
+
+  it('stops a revoked reader using a kept record key', async () => {
+    let { writerClient, readerClient, otherClient } = await setup()
+    await writerClient.shareRecord('r1', reader)
+    await writerClient.shareRecord('r1', other)
+    // Still sharing another record keeps the reader able to fetch this one
+    await writerClient.shareRecord('r2', reader)
+    expect((await readerClient.read('r1')).data.line).toBe(
+      'Say I am the only bee in your bonnet'
+    )
+
+    await writerClient.revokeRecord('r1', reader)
+    let record = await writerClient.read('r1')
+    record.data.line = 'Not to put too fine a point on it'
+    await writerClient.update(record)
+
+    // The reader still holds the old record key in its access key cache
+    await expect(readerClient.read('r1')).rejects.toThrow()
+    expect((await otherClient.read('r1')).data.line).toBe(
+      'Not to put too fine a point on it'
+    )
+  })
+
+  it('drops the wrapped data keys once no readers remain', async () => {
+    let { server, writerClient } = await setup()
+    await writerClient.shareRecord('r1', reader)
+
+    await writerClient.revokeRecord('r1', reader)
+
+    expect(server.records.r1.meta.plain['e3db.rk']).toBeUndefined()
+    expect(server.eaks[[writer, writer, writer, 'e3db.record.r1'].join('/')]).toBeUndefined()
+    expect((await writerClient.read('r1')).data.line).toBe(
+      'Say I am the only bee in your bonnet'
+    )
+  })
+
+  it('only lets the writer share a record', async () => {
+    let { writerClient, readerClient } = await setup()
+    await writerClient.share('lyric', reader)
+
+    await expect(readerClient.shareRecord('r1', writer)).rejects.toThrow(
+      'Only the writer of a record can share it'
+    )
+  })
+})
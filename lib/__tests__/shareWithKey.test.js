@@ -0,0 +1,138 @@
+import { default as Client } from '../client'
+import { default as Crypto } from '../crypto'
+import {
+  KeyChangedError,
+  MissingAccessKeyError,
+  SignatureVerificationError
+} from '../errors'
+import { default as EAKInfo } from '../types/eakInfo'
+import { default as ShareBundle } from '../types/shareBundle'
+import { fakeConfig, fakeServer } from './helpers/fakeServer'
+
+let clientId = '00000000-0000-0000-0000-000000000000'
+let readerId = '00000000-0000-0000-0000-000000000001'
+
+async function setup({ signing = true } = {}) {
+  let own = await Client.generateKeypair()
+  let sign = await Client.generateSigningKeypair()
+  let reader = await Client.generateKeypair()
+  let server = fakeServer({ [clientId]: own, [readerId]: reader })
+
+  let config = fakeConfig(clientId, own, signing ? sign : undefined)
+
+  return { server, own, reader, client: new Client(config, server.transport) }
+}
+
+async function openFor(reader, own, eak) {
+  return Crypto.decryptEak(reader.privateKey, new EAKInfo(eak, clientId, own.publicKey))
+}
+
+let path = [clientId, clientId, readerId, 'lyric'].join('/')
+
+describe('Sharing with a supplied key', () => {
+  it('encrypts the access key to the supplied key without looking up the reader', async () => {
+    let { server, own, reader, client } = await setup()
+
+    expect(await client.shareWithKey('lyric', readerId, reader.publicKey)).toBe(true)
+
+    expect(server.calls).not.toContain('GET /v1/storage/clients/' + readerId)
+    expect(server.policies[path]).toEqual({ allow: [{ read: {} }] })
+    let ak = await client.accessKeyCache.get(clientId, clientId, 'lyric')
+    expect(await openFor(reader, own, server.eaks[path].eak)).toEqual(ak)
+    expect((await client.keyPins.get(readerId)).curve25519).toBe(reader.publicKey)
+  })
+
+  it('checks the supplied key against the pinned one', async () => {
+    let { client } = await setup()
+    await client.getClient(readerId)
+    let other = await Client.generateKeypair()
+
+    await expect(
+      client.shareWithKey('lyric', readerId, other.publicKey)
+    ).rejects.toBeInstanceOf(KeyChangedError)
+  })
+})
+
+describe('Offline share bundles', () => {
+  it('prepares a signed bundle without writing anything', async () => {
+    let { server, own, reader, client } = await setup()
+    await client.createWriterKey('lyric')
+    let calls = server.calls.length
+
+    let bundle = await client.shareWithKey('lyric', readerId, reader.publicKey, true)
+
+    expect(bundle).toBeInstanceOf(ShareBundle)
+    expect(server.calls.slice(calls).filter(call => !call.startsWith('GET'))).toEqual([])
+    expect(server.eaks[path]).toBeUndefined()
+    expect(bundle.readerPublicKey.curve25519).toBe(reader.publicKey)
+    expect(bundle.policy).toEqual({ allow: [{ read: {} }] })
+    expect(
+      await Crypto.verifyDocumentSignature(
+        bundle.unsigned(),
+        bundle.signature,
+        client.config.publicSignKey
+      )
+    ).toBe(true)
+    expect(await openFor(reader, own, bundle.eak)).toEqual(
+      await client.accessKeyCache.get(clientId, clientId, 'lyric')
+    )
+  })
+
+  it('submits a stored bundle later', async () => {
+    let { server, reader, client } = await setup()
+    await client.createWriterKey('lyric')
+    let stored = (await client.shareWithKey('lyric', readerId, reader.publicKey, true)).stringify()
+
+    let bundle = await ShareBundle.decode(JSON.parse(stored))
+    expect(await client.submitShareBundle(bundle)).toBe(true)
+
+    expect(server.eaks[path].eak).toBe(bundle.eak)
+    expect(server.policies[path]).toEqual({ allow: [{ read: {} }] })
+  })
+
+  it('rejects bundles that were altered or are unsigned', async () => {
+    let { server, reader, client } = await setup()
+    await client.createWriterKey('lyric')
+    let bundle = await client.shareWithKey('lyric', readerId, reader.publicKey, true)
+
+    bundle.policy = { allow: [{ read: {} }, { write: {} }] }
+    await expect(client.submitShareBundle(bundle)).rejects.toBeInstanceOf(
+      SignatureVerificationError
+    )
+
+    bundle.signature = null
+    await expect(client.submitShareBundle(bundle)).rejects.toThrow('Share bundle is not signed')
+    expect(server.policies[path]).toBeUndefined()
+  })
+
+  it('rejects bundles prepared for keys that have since changed', async () => {
+    let { server, reader, client } = await setup()
+    await client.createWriterKey('lyric')
+    let bundle = await client.shareWithKey('lyric', readerId, reader.publicKey, true)
+
+    let repinned = await Client.generateKeypair()
+    await client.keyPins.set(readerId, { curve25519: repinned.publicKey, ed25519: null })
+    await expect(client.submitShareBundle(bundle)).rejects.toBeInstanceOf(KeyChangedError)
+
+    await client.keyPins.set(readerId, { curve25519: reader.publicKey, ed25519: null })
+    let rotated = await Client.generateKeypair()
+    client.config.publicKey = rotated.publicKey
+    let error = await client.submitShareBundle(bundle).catch(e => e)
+    expect(error).toBeInstanceOf(KeyChangedError)
+    expect(error.received.curve25519).toBe(bundle.authorizerPublicKey.curve25519)
+    expect(server.eaks[path]).toBeUndefined()
+  })
+
+  it('requires an existing access key and a signing key', async () => {
+    let { reader, client } = await setup()
+    await expect(
+      client.shareWithKey('lyric', readerId, reader.publicKey, true)
+    ).rejects.toBeInstanceOf(MissingAccessKeyError)
+
+    let unsigned = await setup({ signing: false })
+    await unsigned.client.createWriterKey('lyric')
+    await expect(
+      unsigned.client.shareWithKey('lyric', readerId, unsigned.reader.publicKey, true)
+    ).rejects.toThrow('Cannot sign documents without a signing key!')
+  })
+})
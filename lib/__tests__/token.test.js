@@ -0,0 +1,99 @@
+import { default as Client } from '../client'
+import { UnauthorizedError } from '../errors'
+import { fakeConfig, fakeTransport, jsonResponse } from './helpers/fakeServer'
+
+let clientId = '00000000-0000-0000-0000-000000000000'
+// Client lookups are cached, so each call below looks up a different client
+let others = ['1', '2', '3'].map(n => '00000000-0000-0000-0000-00000000000' + n)
+let config = fakeConfig(clientId)
+
+/* eslint-disable camelcase */
+function fakeServer({ lifetime = 3600000, skew = 0, tokenStatus = 200, rejected = [] } = {}) {
+  let server = { tokens: 0, seen: [] }
+  server.transport = fakeTransport(request => {
+    let now = Date.now() + skew
+    if (request.path === '/v1/auth/token') {
+      server.tokens += 1
+      return jsonResponse(
+        {
+          access_token: 'token' + server.tokens,
+          expires_at: new Date(now + lifetime).toISOString()
+        },
+        tokenStatus,
+        { Date: new Date(now).toUTCString() }
+      )
+    }
+
+    let auth = request.options.headers.Authorization
+    server.seen.push(auth)
+    if (rejected.indexOf(auth) !== -1) {
+      return jsonResponse({ error: 'token expired' }, 401)
+    }
+
+    return jsonResponse({
+      client_id: clientId,
+      public_key: { curve25519: 'publickey' },
+      validated: true
+    })
+  })
+
+  return server
+}
+/* eslint-enable */
+
+describe('auth tokens', () => {
+  it('shares a single token request between concurrent calls', async () => {
+    let server = fakeServer()
+    let client = new Client(config, server.transport)
+
+    await Promise.all(others.map(id => client.getClient(id)))
+
+    expect(server.tokens).toBe(1)
+    expect(server.seen).toEqual(['Bearer token1', 'Bearer token1', 'Bearer token1'])
+  })
+
+  it('renews tokens within the renewal window', async () => {
+    let server = fakeServer({ lifetime: 30000 })
+    let client = new Client(config, server.transport, { tokenRenewalWindow: 60000 })
+
+    await client.getClient(others[0])
+    await client.getClient(others[1])
+
+    expect(server.tokens).toBe(2)
+  })
+
+  it('corrects for clock skew using the server date', async () => {
+    // The server clock runs two hours behind, so a one hour token looks expired locally
+    let server = fakeServer({ skew: -7200000 })
+    let client = new Client(config, server.transport)
+
+    await client.getClient(others[0])
+    await client.getClient(others[1])
+
+    expect(server.tokens).toBe(1)
+  })
+
+  it('retries once with a fresh token after a 401', async () => {
+    let server = fakeServer({ rejected: ['Bearer token1'] })
+    let client = new Client(config, server.transport)
+
+    let info = await client.getClient(clientId)
+
+    expect(info.clientId).toBe(clientId)
+    expect(server.tokens).toBe(2)
+    expect(server.seen).toEqual(['Bearer token1', 'Bearer token2'])
+  })
+
+  it('rejects when the token request fails', async () => {
+    expect.assertions(2)
+    let server = fakeServer({ tokenStatus: 401 })
+    let client = new Client(config, server.transport)
+
+    try {
+      await client.getClient(clientId)
+    } catch (e) {
+      expect(e).toBeInstanceOf(UnauthorizedError)
+      expect(e.path).toBe('/v1/auth/token')
+    }
+  })
+})
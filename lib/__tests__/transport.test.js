@@ -0,0 +1,75 @@
+import { default as Client } from '../client'
+import { fakeConfig, fakeTransport, jsonResponse } from './helpers/fakeServer'
+
+let clientId = '00000000-0000-0000-0000-000000000000'
+let config = fakeConfig(clientId)
+
+/* eslint-disable camelcase */
+function inMemoryTransport(calls) {
+  return fakeTransport(request => {
+    calls.push(request)
+
+    if (request.path !== '/v1/auth/token') {
+      return jsonResponse({
+        client_id: clientId,
+        public_key: { curve25519: 'publickey' },
+        validated: true
+      })
+    }
+  })
+}
+/* eslint-enable */
+
+describe('Transport', () => {
+  it('sends every client request through the supplied fetch', async () => {
+    let calls = []
+    let client = new Client(config, inMemoryTransport(calls))
+
+    let info = await client.getClient(clientId)
+
+    expect(info.clientId).toBe(clientId)
+    expect(calls.map(call => call.url)).toEqual([
+      'https://localhost/v1/auth/token',
+      'https://localhost/v1/storage/clients/' + clientId
+    ])
+    expect(calls[1].options.headers.Authorization).toBe('Bearer ' + clientId)
+  })
+
+  it('runs request and response hooks in order', async () => {
+    let calls = []
+    let seen = []
+    let transport = inMemoryTransport(calls)
+      .onRequest(request => {
+        request.options.headers['X-First'] = '1'
+      })
+      .onRequest(async request => {
+        seen.push('request:' + request.options.headers['X-First'])
+        return request
+      })
+      .onResponse((response, request) => {
+        seen.push('response:' + request.url)
+      })
+
+    await transport.request('https://localhost/v1/storage/clients/' + clientId, {
+      method: 'GET',
+      headers: {}
+    })
+
+    expect(calls[0].options.headers['X-First']).toBe('1')
+    expect(seen).toEqual([
+      'request:1',
+      'response:https://localhost/v1/storage/clients/' + clientId
+    ])
+  })
+
+  it('allows hooks to replace the response', async () => {
+    let transport = inMemoryTransport([]).onResponse(() =>
+      jsonResponse({ replaced: true })
+    )
+
+    let response = await transport.request('https://localhost/anything')
+    let json = await response.json()
+
+    expect(json.replaced).toBe(true)
+  })
+})
@@ -0,0 +1,124 @@
+import { default as Client } from '../client'
+import { SignatureVerificationError } from '../errors'
+import { fakeConfig, fakeServer, jsonResponse } from './helpers/fakeServer'
+
+let writer = '00000000-0000-0000-0000-000000000001'
+let reader = '00000000-0000-0000-0000-000000000002'
+
+let clientLookups = server =>
+  server.calls.filter(call => call.startsWith('GET /v1/storage/clients/')).length
+
+async function setup() {
+  let configs = {}
+  for (let id of [writer, reader]) {
+    let keys = await Client.generateKeypair()
+    let signing = await Client.generateSigningKeypair()
+    configs[id] = fakeConfig(id, keys, signing)
+  }
+
+  let server = fakeServer(configs)
+  let writerClient = new Client(configs[writer], server.transport)
+  await writerClient.write('lyric', { line: 'Say I am the only bee in your bonnet' }, { song: 'bee' })
+  await writerClient.share('lyric', reader)
+
+  let readerClient = mode => new Client(configs[reader], server.transport, { verify: mode })
+
+  return { server, writerClient, readerClient }
+}
+
+describe('Signature verification', () => {
+  it('verifies records against the writer signing key', async () => {
+    let { server, writerClient, readerClient } = await setup()
+    let client = readerClient('required')
+    let lookups = clientLookups(server)
+
+    let record = await client.read('r1')
+    await client.read('r1')
+
+    expect(record.data.line).toBe('Say I am the only bee in your bonnet')
+    expect(clientLookups(server) - lookups).toBe(1)
+    expect((await writerClient.read('r1', null, { verify: 'required' })).meta.recordId).toBe('r1')
+  })
+
+  it('rejects tampered records unless verification is off', async () => {
+    let { server, readerClient } = await setup()
+    server.records.r1.meta.plain.song = 'wasp'
+
+    await expect(readerClient('required').read('r1')).rejects.toBeInstanceOf(
+      SignatureVerificationError
+    )
+    await expect(readerClient('if-present').read('r1')).rejects.toBeInstanceOf(
+      SignatureVerificationError
+    )
+    expect((await readerClient('off').read('r1')).meta.plain.song).toBe('wasp')
+    await expect(readerClient('off').read('r1', null, { verify: 'required' })).rejects.toThrow(
+      'Document failed verification'
+    )
+  })
+
+  it('only requires a signature in required mode', async () => {
+    let { server, readerClient } = await setup()
+    delete server.records.r1.rec_sig
+
+    expect((await readerClient('if-present').read('r1')).meta.recordId).toBe('r1')
+    await expect(readerClient('required').read('r1')).rejects.toThrow('Record is not signed')
+  })
+
+  it('cannot verify records with only some fields decrypted', async () => {
+    let { readerClient } = await setup()
+
+    expect((await readerClient('if-present').read('r1', ['line'])).data.line).toBeDefined()
+    await expect(readerClient('required').read('r1', ['line'])).rejects.toThrow(
+      'Cannot verify a record with only some fields decrypted'
+    )
+  })
+
+  it('verifies query results', async () => {
+    let { server, readerClient } = await setup()
+    let client = readerClient('off')
+    let query = () =>
+      client
+        .find()
+        .writers(writer)
+        .includeData()
+        .verify('required')
+        .execute()
+
+    expect((await query().next()).map(record => record.meta.recordId)).toEqual(['r1'])
+
+    server.records.r1.meta.plain.song = 'wasp'
+    await expect(query().next()).rejects.toBeInstanceOf(SignatureVerificationError)
+  })
+
+  it('verifies records as they are written', async () => {
+    let { server, writerClient } = await setup()
+    server.transport.onResponse(async (response, request) => {
+      if (request.options.method !== 'POST' || !request.url.endsWith('/records')) {
+        return response
+      }
+      let body = await response.json()
+      body.meta.plain.song = 'wasp'
+      return jsonResponse(body)
+    })
+
+    await expect(
+      writerClient.write('lyric', { line: 'Another line' }, { song: 'bee' })
+    ).resolves.toBeDefined()
+    await expect(
+      new Client(writerClient.config, server.transport, { verify: 'if-present' }).write(
+        'lyric',
+        { line: 'Another line' },
+        { song: 'bee' }
+      )
+    ).rejects.toBeInstanceOf(SignatureVerificationError)
+  })
+
+  it('rejects unknown verification modes', () => {
+    expect(() => new Client({}, null, { verify: 'sometimes' })).toThrow(
+      "verify must be one of 'off', 'if-present' or 'required'"
+    )
+    expect(() => new Client({}, null).find().verify('sometimes')).toThrow(
+      "verify must be one of 'off', 'if-present' or 'required'"
+    )
+  })
+})
@@ -0,0 +1,232 @@
+/*!
+ * Tozny e3db
+ *
+ * LICENSE
+ *
+ * Tozny dual licenses this product. For commercial use, please contact
+ * info@tozny.com. For non-commercial use, the contents of this file are
+ * subject to the TOZNY NON-COMMERCIAL LICENSE (the "License") which
+ * permits use of the software only by government agencies, schools,
+ * universities, non-profit organizations or individuals on projects that
+ * do not receive external funding other than government research grants
+ * and contracts.  Any other use requires a commercial license. You may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at https://tozny.com/legal/non-commercial-license.
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License. Portions of the software are Copyright (c) TOZNY LLC, 2017.
+ * All rights reserved.
+ *
+ * @copyright Copyright (c) 2017 Tozny, LLC (https://tozny.com)
+ */
+
+'use strict'
+
+import sodium from 'libsodium-wrappers'
+
+import { default as Crypto } from './crypto'
+import { BoundedMap, PersistedFile } from './store'
+
+const DEFAULT_MAX_ENTRIES = 1000
+const DEFAULT_TTL = 3600000
+
+/*
+ * Access key caches hold decrypted access keys for the current client, keyed by
+ * the writer, user and type of the records they protect. Any object exposing the
+ * same async `get`, `set`, `delete` and `clear` methods as MemoryAccessKeyCache
+ * can be passed to a Client in its place.
+ */
+
+/**
+ * Build the internal key for a cache entry.
+ *
+ * @param {string} writerId
+ * @param {string} userId
+ * @param {string} type
+ *
+ * @returns {string}
+ */
+function entryKey(writerId, userId, type) {
+  return JSON.stringify([writerId, userId, type])
+}
+
+/**
+ * Determine whether an entry matches a partial `{ writerId, userId, type }` filter.
+ *
+ * @param {string} key    Internal key of the entry
+ * @param {object} filter Fields to match; omitted fields match anything
+ *
+ * @returns {bool}
+ */
+function matches(key, filter) {
+  let [writerId, userId, type] = JSON.parse(key)
+
+  return (
+    (filter.writerId === undefined || filter.writerId === writerId) &&
+    (filter.userId === undefined || filter.userId === userId) &&
+    (filter.type === undefined || filter.type === type)
+  )
+}
+
+/**
+ * In-memory access key cache bounded both in size and in age. Once full, the
+ * least recently used entry is evicted; entries older than the TTL are ignored.
+ *
+ * @property {number} maxEntries Maximum number of access keys to hold
+ * @property {number} ttl        Milliseconds each entry remains valid, or NULL to never expire
+ */
+export class MemoryAccessKeyCache extends BoundedMap {
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES, ttl = DEFAULT_TTL) {
+    super(maxEntries, ttl)
+  }
+
+  /**
+   * Retrieve a cached access key.
+   *
+   * @param {string} writerId
+   * @param {string} userId
+   * @param {string} type
+   *
+   * @returns {Promise<Uint8Array|undefined>} The access key, or undefined if absent or expired
+   */
+  async get(writerId, userId, type) {
+    return super.get(entryKey(writerId, userId, type))
+  }
+
+  /**
+   * Store an access key, evicting the least recently used entry if full.
+   *
+   * @param {string}     writerId
+   * @param {string}     userId
+   * @param {string}     type
+   * @param {Uint8Array} ak
+   *
+   * @returns {Promise}
+   */
+  async set(writerId, userId, type, ak) {
+    return super.set(entryKey(writerId, userId, type), ak)
+  }
+
+  /**
+   * Remove a single access key from the cache.
+   *
+   * @param {string} writerId
+   * @param {string} userId
+   * @param {string} type
+   *
+   * @returns {Promise}
+   */
+  async delete(writerId, userId, type) {
+    return super.delete(entryKey(writerId, userId, type))
+  }
+
+  /**
+   * Remove every access key matching a filter from the cache.
+   *
+   * @param {object} [filter] Optional `writerId`, `userId` and/or `type` to match; clears everything if empty
+   *
+   * @returns {Promise}
+   */
+  async clear(filter = {}) {
+    for (let key of this._keys()) {
+      if (matches(key, filter)) {
+        await super.delete(key)
+      }
+    }
+  }
+}
+
+/**
+ * Access key cache persisted to disk so that keys survive process restarts.
+ *
+ * The cache is held in memory as with MemoryAccessKeyCache, and written to the
+ * given file after every change. The file is encrypted with a caller-supplied
+ * secret key and readable only by its owner.
+ *
+ * @property {string} path Location of the cache file
+ */
+export class FileAccessKeyCache extends MemoryAccessKeyCache {
+  /**
+   * @param {string} path       Location of the cache file
+   * @param {string} secretKey  Base64URL-encoded 32-byte key used to encrypt the file
+   * @param {number} maxEntries Maximum number of access keys to hold
+   * @param {number} ttl        Milliseconds each entry remains valid, or NULL to never expire
+   */
+  constructor(path, secretKey, maxEntries = DEFAULT_MAX_ENTRIES, ttl = DEFAULT_TTL) {
+    super(maxEntries, ttl)
+
+    this.path = path
+    this._secretKey = secretKey
+    this._file = new PersistedFile(path)
+  }
+
+  /**
+   * Read and decrypt the cache file, if one exists, exactly once.
+   *
+   * @returns {Promise}
+   */
+  async _load() {
+    return this._file.load(contents => this._parse(contents))
+  }
+
+  async _parse(contents) {
+    await sodium.ready
+    let [ciphertext, nonce] = await Promise.all(
+      contents.split('.').map(async x => Crypto.b64decode(x))
+    )
+    let key = await Crypto.b64decode(this._secretKey)
+    let plaintext = sodium.crypto_secretbox_open_easy(ciphertext, nonce, key)
+    let entries = JSON.parse(Buffer.from(plaintext).toString('utf8'))
+
+    for (let [entry, ak, expires] of entries) {
+      this._restore(entry, await Crypto.b64decode(ak), expires)
+    }
+  }
+
+  /**
+   * Encrypt the current cache contents and write them to disk.
+   *
+   * @returns {Promise}
+   */
+  async _save() {
+    return this._file.save(() => this._serialize())
+  }
+
+  async _serialize() {
+    await sodium.ready
+    let entries = []
+    for (let [entry, ak, expires] of this._snapshot()) {
+      entries.push([entry, await Crypto.b64encode(ak), expires])
+    }
+
+    let key = await Crypto.b64decode(this._secretKey)
+    let nonce = sodium.randombytes_buf(sodium.crypto_secretbox_NONCEBYTES)
+    let ciphertext = sodium.crypto_secretbox_easy(JSON.stringify(entries), nonce, key)
+
+    return (await Crypto.b64encode(ciphertext)) + '.' + (await Crypto.b64encode(nonce))
+  }
+
+  async get(writerId, userId, type) {
+    await this._load()
+    return super.get(writerId, userId, type)
+  }
+
+  async set(writerId, userId, type, ak) {
+    await this._load()
+    await super.set(writerId, userId, type, ak)
+    return this._save()
+  }
+
+  async delete(writerId, userId, type) {
+    await this._load()
+    await super.delete(writerId, userId, type)
+    return this._save()
+  }
+
+  async clear(filter = {}) {
+    await this._load()
+    await super.clear(filter)
+    return this._save()
+  }
+}
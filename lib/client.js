@@ -21,16 +21,30 @@
  * @copyright Copyright (c) 2017 Tozny, LLC (https://tozny.com)
  */
 
-/* global fetch */
-
 'use strict'
 
 import 'es6-promise/auto'
-import 'isomorphic-fetch'
 import sodium from 'libsodium-wrappers'
 import { default as Crypto } from './crypto'
 
+import { MemoryAccessKeyCache } from './cache'
 import { default as Config } from './config'
+import { MemoryClientCache, MemoryKeyPinStore } from './directory'
+import {
+  ClientNotFoundError,
+  ConflictError,
+  ForbiddenError,
+  httpError,
+  KeyChangedError,
+  MissingAccessKeyError,
+  NotFoundError,
+  SignatureVerificationError
+} from './errors'
+import { default as Plain } from './plain'
+import { default as QueryBuilder } from './queryBuilder'
+import { default as RetryPolicy } from './retry'
+import { default as Transport } from './transport'
+import { default as AuthorizerPolicy } from './types/authorizerPolicy'
 import { default as ClientDetails } from './types/clientDetails'
 import { default as ClientInfo } from './types/clientInfo'
 import { default as EAKInfo } from './types/eakInfo'
@@ -38,19 +52,33 @@ import { default as IncomingSharingPolicy } from './types/incomingSharingPolicy'
 import { default as KeyPair } from './types/keyPair'
 import { default as Meta } from './types/meta'
 import { default as OutgoingSharingPolicy } from './types/outgoingSharingPolicy'
+import { default as Policy } from './types/policy'
 import { default as PublicKey } from './types/publicKey'
-import { default as Query } from './types/query'
-import { default as QueryResult } from './types/queryResult'
+import { DEFAULT_QUERY_COUNT, verifyMode, default as Query } from './types/query'
+import { asyncIterator, default as QueryResult } from './types/queryResult'
 import { default as Record } from './types/record'
 import { default as RecordData } from './types/recordData'
 import { default as RecordInfo } from './types/recordInfo'
+import { default as ShareBundle } from './types/shareBundle'
 import { default as SignedDocument } from './types/signedDocument'
 import { default as SigningKey } from './types/signingKey'
 
-const DEFAULT_QUERY_COUNT = 100
 const DEFAULT_API_URL = 'https://api.e3db.com'
+const DEFAULT_TOKEN_RENEWAL_WINDOW = 60000
+const REKEY_ATTEMPTS = 3
+const DEFAULT_CONCURRENCY = 4
+const BLIND_INDEX_PREFIX = 'e3db.bi.'
+const RECORD_KEYS_FIELD = 'e3db.rk'
+const RECORD_KEY_TYPE_PREFIX = 'e3db.record.'
+const FILE_KEY_FIELD = 'e3db.fk'
 const EMAIL = /(.+)@(.+){2,}\.(.+){2,}/
 
+/**
+ * Method and URL of the request that produced each response, used to describe
+ * failed requests in errors.
+ */
+const requests = new WeakMap()
+
 /* eslint-disable no-buffer-constructor */
 
 /**
@@ -66,17 +94,72 @@ let btoa = function(str) {
 /* eslint-enable */
 
 /**
- * Potentially refresh the authorization token used during requests to the E3DB server.
+ * Wait for a given number of milliseconds.
+ *
+ * @param {number} ms
+ *
+ * @returns {Promise}
+ */
+async function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Send a request through the client's transport, retrying transient failures of
+ * idempotent requests according to the client's retry policy.
+ *
+ * @param {Client}   client     E3DB client instance
+ * @param {string}   url        Absolute URL to fetch from the server
+ * @param {object}   options    Object representing additional settings for the fetch
+ * @param {bool}     idempotent Whether the request can safely be sent more than once
+ * @param {function} [prepare]  Optional async callback run on the options before each attempt
+ *
+ * @returns {Promise<Response>}
+ */
+async function sendRequest(client, url, options, idempotent, prepare = null) {
+  let policy = client.retryPolicy
+
+  for (let attempt = 0; ; attempt++) {
+    if (prepare !== null) {
+      await prepare(options)
+    }
+
+    let response = null
+    let error = null
+    try {
+      response = await client.transport.request(url, options)
+      requests.set(response, { method: options.method, url: url })
+    } catch (err) {
+      error = err
+    }
+
+    if (!idempotent || !policy.shouldRetry(attempt, response, error)) {
+      if (error !== null) {
+        throw error
+      }
+
+      return response
+    }
+
+    await sleep(policy.delay(attempt, response))
+  }
+}
+
+/**
+ * Request a new authorization token from the E3DB server and store it on the client.
  *
- * The token will be cached for 10 minutes before being automatically refreshed.
+ * The server's `Date` header is used to estimate the offset between the local and
+ * server clocks, so that the token's expiry can be compared against server time.
  *
- * @param {Config} config E3DB client configuration
+ * @param {Client} client E3DB client instance
  *
  * @returns {Promise<string>}
  */
-async function getToken(client) {
-  if (client._authToken === null || Date.now() > client._authTokenTimeout) {
-    let response = await fetch(client.config.apiUrl + '/v1/auth/token', {
+async function requestToken(client) {
+  let request = await sendRequest(
+    client,
+    client.config.apiUrl + '/v1/auth/token',
+    {
       method: 'POST',
       headers: {
         'Content-Type': 'x-www-form-urlencoded',
@@ -84,49 +167,126 @@ async function getToken(client) {
           'Basic ' + btoa(client.config.apiKeyId + ':' + client.config.apiSecret)
       },
       body: 'grant_type=client_credentials'
-    })
-    let json = await response.json()
+    },
+    true
+  )
+  let response = await checkStatus(request, { clientId: client.config.clientId })
+  let json = await response.json()
+
+  let serverDate = response.headers ? Date.parse(response.headers.get('Date')) : NaN
+  client._clockSkew = isNaN(serverDate) ? 0 : serverDate - Date.now()
+  client._authToken = json.access_token
+  client._authTokenTimeout = Date.parse(json.expires_at)
 
-    client._authToken = json.access_token
-    client._authTokenTimeout = Date.parse(json.expires_at)
+  return client._authToken
+}
+
+/**
+ * Potentially refresh the authorization token used during requests to the E3DB server.
+ *
+ * The token is renewed once server time comes within the client's renewal window
+ * of its expiry. Concurrent callers share a single in-flight token request.
+ *
+ * @param {Client} client E3DB client instance
+ *
+ * @returns {Promise<string>}
+ */
+async function getToken(client) {
+  let now = Date.now() + client._clockSkew
+  if (
+    client._authToken !== null &&
+    now < client._authTokenTimeout - client.tokenRenewalWindow
+  ) {
+    return Promise.resolve(client._authToken)
+  }
 
-    return client._authToken
+  if (client._tokenRequest === null) {
+    client._tokenRequest = requestToken(client).then(
+      token => {
+        client._tokenRequest = null
+        return token
+      },
+      err => {
+        client._tokenRequest = null
+        throw err
+      }
+    )
   }
 
-  return Promise.resolve(client._authToken)
+  return client._tokenRequest
 }
 
 /**
- * Transparent fetch() wrapper to set up OAuth2 authentication headers
+ * Transparent wrapper around the client's transport to set up OAuth2 authentication headers
  *
- * @param {Client} client  E3DB client instance
- * @param {string} url     Absolute URL to fetch from the server
- * @param {object} options Object representing additional settings for the fetch
+ * Requests are retried on transient failures only when they are idempotent. Unless
+ * stated otherwise, only GET and HEAD requests are considered idempotent.
+ *
+ * A request rejected with a 401 is sent once more with a freshly-issued token, as
+ * the server may have expired or revoked the cached one.
+ *
+ * @param {Client} client       E3DB client instance
+ * @param {string} url          Absolute URL to fetch from the server
+ * @param {object} options      Object representing additional settings for the fetch
+ * @param {bool}   [idempotent] Whether the request can safely be sent more than once
  *
  * @returns {Promise}
  */
-async function oauthFetch(client, url, options) {
-  let token = await getToken(client)
+async function oauthFetch(client, url, options, idempotent = null) {
+  if (idempotent === null) {
+    idempotent = ['GET', 'HEAD'].indexOf(options.method) !== -1
+  }
+
+  let token = null
+  let authorize = async options => {
+    token = await getToken(client)
 
-  options.headers = options.headers || {}
-  options.headers.Authorization = 'Bearer ' + token
+    options.headers = options.headers || {}
+    options.headers.Authorization = 'Bearer ' + token
+  }
+
+  let response = await sendRequest(client, url, options, idempotent, authorize)
+  if (response.status !== 401) {
+    return response
+  }
+
+  // Discard the rejected token, unless another request has already replaced it
+  if (client._authToken === token) {
+    client._authToken = null
+  }
 
-  return fetch(url, options)
+  return sendRequest(client, url, options, idempotent, authorize)
 }
 
 /**
  * Check the return status of a fetch request and throw an error if one occurred
  *
+ * The error is an E3dbHttpError, or one of its more specific subclasses, carrying
+ * the parsed JSON error body returned by the server along with the request method,
+ * path and any given context.
+ *
  * @param {Response} response
+ * @param {object}   [context] Identifiers of the records or clients involved in the request
  *
  * @returns {Promise}
  */
-async function checkStatus(response) {
+async function checkStatus(response, context = {}) {
   if (response.status >= 200 && response.status < 300) {
     return Promise.resolve(response)
   }
 
-  let error = new Error(response.statusText)
+  let body = null
+  try {
+    body = await response.json()
+  } catch (err) {
+    // Error responses are not guaranteed to carry a JSON body
+  }
+
+  let request = requests.get(response) || { method: null, url: null }
+  let path = request.url === null ? null : request.url.replace(/^[a-z]+:\/\/[^/]+/i, '')
+  let message = response.statusText || 'Request failed with status ' + response.status
+
+  let error = httpError(response.status, message, body, request.method, path, context)
   error.response = response
   throw error
 }
@@ -163,10 +323,15 @@ async function getEncryptedAccessKey(client, writerId, userId, readerId, type) {
   )
 
   if (response.status && response.status === 404) {
+    // Access may have been revoked, so any cached copy of the key is stale
+    if (readerId === client.config.clientId) {
+      await client.accessKeyCache.delete(writerId, userId, type)
+    }
+
     return Promise.resolve(null)
   }
 
-  return checkStatus(response)
+  return checkStatus(response, { writerId, userId, readerId, type })
     .then(response => response.json())
     .then(eak => EAKInfo.decode(eak))
 }
@@ -183,9 +348,9 @@ async function getEncryptedAccessKey(client, writerId, userId, readerId, type) {
  * @returns {Promise<string|null>} Decrypted access key on success, NULL if no key exists.
  */
 async function getAccessKey(client, writerId, userId, readerId, type) {
-  let cacheKey = `${writerId}.${userId}.${type}`
-  if (client._akCache[cacheKey] !== undefined) {
-    return Promise.resolve(client._akCache[cacheKey])
+  let cached = await client.accessKeyCache.get(writerId, userId, type)
+  if (cached !== undefined) {
+    return Promise.resolve(cached)
   }
 
   return getEncryptedAccessKey(client, writerId, userId, readerId, type)
@@ -196,9 +361,9 @@ async function getAccessKey(client, writerId, userId, readerId, type) {
 
       return Crypto.decryptEak(client.config.privateKey, eak)
     })
-    .then(key => {
+    .then(async key => {
       if (key !== null) {
-        client._akCache[cacheKey] = key
+        await client.accessKeyCache.set(writerId, userId, type, key)
       }
 
       return Promise.resolve(key)
@@ -222,7 +387,26 @@ async function putAccessKey(client, writerId, userId, readerId, type, ak) {
   let readerKey = clientInfo.publicKey.curve25519
   let eak = await Crypto.encryptAk(client.config.privateKey, ak, readerKey)
 
-  return oauthFetch(
+  await storeEncryptedAccessKey(client, writerId, userId, readerId, type, eak)
+  await client.accessKeyCache.set(writerId, userId, type, ak)
+
+  return Promise.resolve(ak)
+}
+
+/**
+ * Store an already-encrypted access key on the server.
+ *
+ * @param {Client} client   E3DB client instance
+ * @param {string} writerId Writer/Authorizer for the access key
+ * @param {string} userId   Record subject
+ * @param {string} readerId Authorized reader
+ * @param {string} type     Record type for which the key will be used
+ * @param {string} eak      Access key encrypted for the reader
+ *
+ * @returns {Promise<bool>}
+ */
+async function storeEncryptedAccessKey(client, writerId, userId, readerId, type, eak) {
+  let request = await oauthFetch(
     client,
     client.config.apiUrl +
       '/v1/storage/access_keys/' +
@@ -239,15 +423,83 @@ async function putAccessKey(client, writerId, userId, readerId, type, ak) {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({ eak: eak })
-    }
+    },
+    true
   )
-    .then(checkStatus)
-    .then(() => {
-      let cacheKey = `${writerId}.${userId}.${type}`
-      client._akCache[cacheKey] = ak
+  await checkStatus(request, { writerId, userId, readerId, type })
 
-      return Promise.resolve(ak)
-    })
+  return true
+}
+
+/**
+ * Set the sharing policy a writer applies to a reader for records of a type.
+ *
+ * @param {Client} client   E3DB client instance
+ * @param {string} writerId Writer of the records
+ * @param {string} userId   Record subject
+ * @param {string} readerId Reader the policy applies to
+ * @param {string} type     Record type the policy applies to
+ * @param {Policy} policy   Policy to apply
+ *
+ * @returns {Promise<bool>}
+ */
+async function putPolicy(client, writerId, userId, readerId, type, policy) {
+  let request = await oauthFetch(
+    client,
+    client.config.apiUrl +
+      '/v1/storage/policy/' +
+      writerId +
+      '/' +
+      userId +
+      '/' +
+      readerId +
+      '/' +
+      type,
+    {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: policy.stringify()
+    },
+    true
+  )
+  await checkStatus(request, { writerId, userId, readerId, type })
+
+  return true
+}
+
+/**
+ * Decrypt an access key with the first of several candidate key pairs that works.
+ *
+ * @param {EAKInfo} eak        Encrypted access key
+ * @param {array}   candidates List of `{ privateKey, publicKey }` pairs to try. A NULL
+ *                             public key uses the authorizer key reported with the EAK.
+ *
+ * @returns {Promise<object|null>} The access key and index of the pair that opened it, or NULL
+ */
+async function openEak(eak, candidates) {
+  for (let i = 0; i < candidates.length; i++) {
+    let { privateKey, publicKey } = candidates[i]
+    let attempt = eak
+    if (publicKey !== null) {
+      attempt = new EAKInfo(
+        eak.eak,
+        eak.authorizerID,
+        publicKey,
+        eak.signerId,
+        eak.signerSigningKey.ed25519
+      )
+    }
+
+    try {
+      return { ak: await Crypto.decryptEak(privateKey, attempt), index: i }
+    } catch (err) {
+      // Wrong key pair for this EAK; try the next candidate
+    }
+  }
+
+  return null
 }
 
 /**
@@ -278,709 +530,2581 @@ async function deleteAccessKey(client, writerId, userId, readerId, type) {
       headers: {
         'Content-Type': 'application/json'
       }
-    }
+    },
+    true
   )
 
-  await checkStatus(request)
+  await checkStatus(request, { writerId, userId, readerId, type })
 
-  let cacheKey = `${writerId}.${userId}.${type}`
-  delete client._akCache[cacheKey]
+  await client.accessKeyCache.delete(writerId, userId, type)
 
   return true
 }
 
 /**
- * Fetch the access key for a record type and use it to decrypt a given record.
+ * Delete a reader's access key on the server. A reader that holds no access key
+ * is considered revoked already.
  *
- * @param {Client} client E3DB client instance
- * @param {Record} encrypted Record to be decrypted
+ * @param {Client} client   E3DB client instance
+ * @param {string} writerId Writer/Authorizer for the access key
+ * @param {string} userId   Record subject
+ * @param {string} readerId Reader whose access key to delete
+ * @param {string} type     Record type for which the key was used
+ *
+ * @returns {Promise<bool>}
+ */
+async function revokeAccessKey(client, writerId, userId, readerId, type) {
+  try {
+    await deleteAccessKey(client, writerId, userId, readerId, type)
+  } catch (err) {
+    if (!(err instanceof NotFoundError)) {
+      throw err
+    }
+  }
+
+  return true
+}
+
+/**
+ * Fetch a single record from the server without decrypting it.
+ *
+ * @param {Client} client   E3DB client instance
+ * @param {string} recordId ID of the record to fetch
+ * @param {array}  [fields] Optional fields to select on the record
  *
  * @return {Promise<Record>}
  */
-async function decryptRecord(client, encrypted) {
-  let ak = await getAccessKey(
-    client,
-    encrypted.meta.writerId,
-    encrypted.meta.userId,
-    client.config.clientId,
-    encrypted.meta.type
-  )
+async function fetchRecord(client, recordId, fields = null) {
+  let path = client.config.apiUrl + '/v1/storage/records/' + recordId
 
-  if (ak === null) {
-    throw new Error('No access key available.')
+  if (fields !== null) {
+    let mapped = []
+    for (let field of fields) {
+      mapped.push('field=' + field)
+    }
+
+    path += '?' + mapped.join('&')
   }
 
-  return Crypto.decryptRecord(encrypted, ak)
+  let request = await oauthFetch(client, path, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  })
+  let response = await checkStatus(request, { recordId })
+  let json = await response.json()
+  return Record.decode(json)
 }
 
 /**
- * Fetch the access key for a record type and use it to encrypt a given record.
+ * Fetch the access key for a record type and use it to decrypt a given record.
  *
- * @param {Client} client E3DB client instance
- * @param {Record} record Record to be decrypted
+ * @param {Client} client    E3DB client instance
+ * @param {Record} encrypted Record to be decrypted
+ * @param {array}  [fields]  Optional names of the only fields to decrypt
  *
  * @return {Promise<Record>}
  */
-async function encryptRecord(client, record) {
+async function decryptRecord(client, encrypted, fields = null) {
   let ak = await getAccessKey(
     client,
-    record.meta.writerId,
-    record.meta.userId,
+    encrypted.meta.writerId,
+    encrypted.meta.userId,
     client.config.clientId,
-    record.meta.type
+    encrypted.meta.type
   )
 
-  if (ak === null) {
-    ak = await Crypto.randomKey()
-    await putAccessKey(
+  if (ak === null && (encrypted.meta.plain || {}).hasOwnProperty(RECORD_KEYS_FIELD)) {
+    let recordKey = await getAccessKey(
       client,
-      record.meta.writerId,
-      record.meta.userId,
+      encrypted.meta.writerId,
+      encrypted.meta.userId,
       client.config.clientId,
-      record.meta.type,
-      ak
+      RECORD_KEY_TYPE_PREFIX + encrypted.meta.recordId
     )
+    if (recordKey !== null) {
+      return Crypto.decryptRecord(withRecordKeys(encrypted), recordKey, fields)
+    }
+  }
+
+  if (ak === null) {
+    throw new MissingAccessKeyError('No access key available.', {
+      recordId: encrypted.meta.recordId,
+      writerId: encrypted.meta.writerId,
+      userId: encrypted.meta.userId,
+      readerId: client.config.clientId,
+      type: encrypted.meta.type
+    })
   }
 
-  return Crypto.encryptRecord(record, ak)
+  return Crypto.decryptRecord(encrypted, ak, fields)
 }
 
 /**
- * Core client module used to interact with the E3DB API.
+ * Copy an encrypted record shared individually, substituting the data key of each
+ * field with the copy wrapped by its record-scoped key.
  *
- * @property {Config} config E3DB client configuration.
+ * @param {Record} encrypted Encrypted record holding wrapped data keys in its plain meta
+ *
+ * @returns {Record}
  */
-export default class Client {
-  constructor(config) {
-    this.config = config
-    this._authToken = null
-    this._authTokenTimeout = 0 // Minimum UNIX timestamp
-    this._akCache = {}
+function withRecordKeys(encrypted) {
+  let wrapped = JSON.parse(encrypted.meta.plain[RECORD_KEYS_FIELD])
+  let data = {}
+  for (let key of Object.keys(encrypted.data)) {
+    if (wrapped.hasOwnProperty(key)) {
+      let [, , ef, efN] = encrypted.data[key].split('.')
+      data[key] = [wrapped[key], ef, efN].join('.')
+    }
   }
 
-  /**
-   * Get an access key from the cache if it exists, otherwise decrypt
-   * the provided EAK and populate the cache.
-   *
-   * @param {string}  writerId
-   * @param {string}  userId
-   * @param {string}  readerId
-   * @param {string}  type
-   * @param {EAKInfo} eak
-   *
-   * @returns {Promise<string>}
-   */
-  async _getCachedAk(writerId, userId, readerId, type, eak) {
-    let cacheKey = `${writerId}.${userId}.${type}`
-    let ak = this._akCache[cacheKey]
+  return new Record(encrypted.meta, data, encrypted.signature)
+}
 
-    if (ak === undefined) {
-      ak = await Crypto.decryptEak(this.config.privateKey, eak)
-      this._akCache[cacheKey] = ak
-    }
+/**
+ * Build the policy `shareRecord` sets on the type of a shared record, so the
+ * reader can fetch the record without holding the type's access key.
+ *
+ * @returns {Policy}
+ */
+function recordReaderPolicy() {
+  return new Policy().allow('read').deny('share')
+}
 
-    return Promise.resolve(ak)
-  }
+/**
+ * Determine whether a reader's policy for a type was set by `shareRecord`, so
+ * the reader holds no access key for the type.
+ *
+ * @param {Policy|null} policy Policy applied to the reader, if any
+ *
+ * @returns {bool}
+ */
+function isRecordReaderPolicy(policy) {
+  return (
+    policy !== null &&
+    JSON.stringify(policy.serializable()) ===
+      JSON.stringify(recordReaderPolicy().serializable())
+  )
+}
 
-  /**
-   * Get a client's information based on their ID.
-   *
-   * @param {string} clientId UUID of the client to fetch
-   *
-   * @returns {Promise<ClientInfo>}
-   */
-  async getClient(clientId) {
-    let request = await oauthFetch(
-      this,
-      this.config.apiUrl + '/v1/storage/clients/' + clientId,
-      {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        }
+/**
+ * Determine whether an outgoing sharing policy covers a single record shared
+ * with `shareRecord` rather than a whole type.
+ *
+ * @param {OutgoingSharingPolicy} policy Outgoing sharing policy
+ *
+ * @returns {bool}
+ */
+function isRecordScoped(policy) {
+  return policy.recordType.startsWith(RECORD_KEY_TYPE_PREFIX)
+}
+
+/**
+ * List the current client's outgoing sharing policies, leaving out those that
+ * only let readers of single records fetch them. Only the readers listed hold
+ * access keys.
+ *
+ * @param {Client} client E3DB client instance
+ *
+ * @returns {Promise<array>} Outgoing sharing policies of readers holding access keys
+ */
+async function keyHolderSharing(client) {
+  let outgoing = await client.outgoingSharing()
+  let recordReaders = outgoing.filter(isRecordScoped).map(policy => policy.readerId)
+  let clientId = client.config.clientId
+
+  let holders = []
+  for (let policy of outgoing) {
+    if (recordReaders.indexOf(policy.readerId) !== -1 && !isRecordScoped(policy)) {
+      let current =
+        policy.policy === null
+          ? await client.getPolicy(clientId, clientId, policy.readerId, policy.recordType)
+          : policy.policy
+      if (isRecordReaderPolicy(current)) {
+        continue
       }
-    )
+    }
+    holders.push(policy)
+  }
 
-    let response = await checkStatus(request)
+  return holders
+}
 
-    let json = await response.json()
+/**
+ * Withdraw the read access to a record's type that `shareRecord` gave a reader,
+ * unless another record of the type is still shared with it.
+ *
+ * @param {Client} client   E3DB client instance
+ * @param {Meta}   meta     Meta of the record no longer shared with the reader
+ * @param {string} readerId Reader to withdraw access from
+ *
+ * @returns {Promise<bool>} Whether the access was withdrawn
+ */
+async function revokeRecordReader(client, meta, readerId) {
+  let { recordId, writerId, userId, type } = meta
+  if (!isRecordReaderPolicy(await client.getPolicy(writerId, userId, readerId, type))) {
+    return false
+  }
+
+  for (let policy of await client.outgoingSharing()) {
+    let sharedId = policy.recordType.slice(RECORD_KEY_TYPE_PREFIX.length)
+    if (
+      policy.readerId !== readerId ||
+      !isRecordScoped(policy) ||
+      sharedId === recordId
+    ) {
+      continue
+    }
 
-    return ClientInfo.decode(json)
+    try {
+      if ((await fetchRecord(client, sharedId)).meta.type === type) {
+        return false
+      }
+    } catch (err) {
+      // Records deleted since they were shared no longer need access to the type
+      if (!(err instanceof NotFoundError)) {
+        throw err
+      }
+    }
   }
 
-  /**
-   * Create a key for the current client as a writer if one does not exist
-   * in the cache already. If no access key does exist, create a random one
-   * and store it with the server.
+  await putPolicy(client, writerId, userId, readerId, type, new Policy().deny('read'))
+  return true
+}
+
+/**
+ * Decrypt a record with the first of several candidate access keys that works.
+ *
+ * @param {Record} encrypted Record to be decrypted
+ * @param {array}  keys      Access keys to try, in order
+ *
+ * @returns {Promise<object|null>} The decrypted record and index of the key that opened it, or NULL
+ */
+async function openRecord(encrypted, keys) {
+  for (let i = 0; i < keys.length; i++) {
+    try {
+      return { record: await Crypto.decryptRecord(encrypted, keys[i]), index: i }
+    } catch (err) {
+      // Wrong access key for this record; try the next candidate
+    }
+  }
+
+  return null
+}
+
+/**
+ * Re-encrypt the stream key held by a file record, if it is one, with a new
+ * access key for its type.
+ *
+ * @param {Record}     record   Decrypted record
+ * @param {Uint8Array} previous Access key the stream key is currently encrypted with
+ * @param {Uint8Array} ak       New access key
+ *
+ * @returns {Promise}
+ */
+async function rewrapFileKey(record, previous, ak) {
+  let wrapped = record.data[FILE_KEY_FIELD]
+  if (wrapped !== undefined) {
+    let key = await Crypto.unwrapStreamKey(wrapped, previous)
+    record.data[FILE_KEY_FIELD] = await Crypto.wrapStreamKey(key, ak)
+  }
+}
+
+/**
+ * Fetch a client's information from the server, checking its keys against any
+ * pinned for it and caching the result.
+ *
+ * @param {Client} client   E3DB client instance
+ * @param {string} clientId UUID of the client to fetch
+ *
+ * @returns {Promise<ClientInfo>}
+ */
+async function fetchClient(client, clientId) {
+  let request = await oauthFetch(
+    client,
+    client.config.apiUrl + '/v1/storage/clients/' + clientId,
+    {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    }
+  )
+
+  let response = await checkStatus(request, { clientId })
+  let info = await ClientInfo.decode(await response.json())
+
+  return rememberClient(client, clientId, info)
+}
+
+/**
+ * Look up the client registered with an email address through the client
+ * discovery endpoint, checking and caching its keys as for any other lookup.
+ *
+ * @param {Client} client E3DB client instance
+ * @param {string} email  Email address the client was registered with
+ *
+ * @returns {Promise<ClientInfo>}
+ */
+async function findClient(client, email) {
+  let request = await oauthFetch(
+    client,
+    client.config.apiUrl + '/v1/storage/clients/find?email=' + encodeURIComponent(email),
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    },
+    true
+  )
+
+  let response
+  try {
+    response = await checkStatus(request, { email })
+  } catch (err) {
+    if (!(err instanceof NotFoundError)) {
+      throw err
+    }
+
+    throw new ClientNotFoundError(
+      'No client found with email address ' + email,
+      err.status,
+      err.body,
+      err.method,
+      err.path,
+      err.context
+    )
+  }
+  let info = await ClientInfo.decode(await response.json())
+
+  return rememberClient(client, info.clientId, info)
+}
+
+/**
+ * Check the keys of a client just fetched from the server against any pinned
+ * for it, then cache its information.
+ *
+ * The current client's own keys are not pinned, since they are known from its
+ * configuration and change whenever it rotates its keypair.
+ *
+ * @param {Client}     client   E3DB client instance
+ * @param {string}     clientId UUID of the client
+ * @param {ClientInfo} info     Client information as returned by the server
+ *
+ * @returns {Promise<ClientInfo>}
+ */
+async function rememberClient(client, clientId, info) {
+  if (clientId !== client.config.clientId) {
+    await checkPinnedKeys(client, clientId, info)
+  }
+  await client.clientCache.set(clientId, info)
+
+  return info
+}
+
+/**
+ * Compare the keys the server reports for a client against those pinned when
+ * the client was first seen, pinning them if this is the first time.
+ *
+ * A changed key is only trusted if the client's `onKeyChange` hook accepts it,
+ * in which case the new keys replace the pin. A client that gains a signing key
+ * it did not have before is not considered changed.
+ *
+ * @param {Client}     client   E3DB client instance
+ * @param {string}     clientId UUID of the client
+ * @param {ClientInfo} info     Client information as returned by the server
+ *
+ * @returns {Promise<ClientInfo>}
+ */
+async function checkPinnedKeys(client, clientId, info) {
+  let received = {
+    curve25519: info.publicKey.curve25519,
+    ed25519: info.signingKey.ed25519 || null
+  }
+  let pinned = await client.keyPins.get(clientId)
+
+  if (pinned !== undefined) {
+    let samePublicKey = pinned.curve25519 === received.curve25519
+    if (samePublicKey && pinned.ed25519 === received.ed25519) {
+      return info
+    }
+
+    let addedSigningKey = samePublicKey && pinned.ed25519 === null
+    let accepted =
+      addedSigningKey ||
+      (client.onKeyChange !== null &&
+        (await client.onKeyChange(clientId, pinned, received)) === true)
+    if (!accepted) {
+      throw new KeyChangedError(
+        'Public keys for client ' + clientId + ' have changed since they were pinned',
+        { clientId },
+        pinned,
+        received
+      )
+    }
+  }
+
+  await client.keyPins.set(clientId, received)
+
+  return info
+}
+
+/**
+ * Check that a public key recorded in a share bundle is still the one known for
+ * a client, so the access key it carries can still be opened.
+ *
+ * @param {string} clientId ID of the client the key belongs to
+ * @param {string} current  Base64URL-encoded key currently known for the client
+ * @param {string} bundled  Base64URL-encoded key recorded in the bundle
+ * @param {object} context  Context for the error raised on a mismatch
+ *
+ * @returns {bool}
+ */
+function checkBundleKey(clientId, current, bundled, context) {
+  if (current !== bundled) {
+    throw new KeyChangedError(
+      'Public key for client ' + clientId + ' has changed since the bundle was prepared',
+      context,
+      { curve25519: current },
+      { curve25519: bundled }
+    )
+  }
+
+  return true
+}
+
+/**
+ * Look up the Ed25519 public key a writer signs records with.
+ *
+ * @param {Client} client   E3DB client instance
+ * @param {string} writerId ID of the writer
+ *
+ * @returns {Promise<string|null>} Base64URL-encoded key, or NULL if the writer has none
+ */
+async function getSigningKey(client, writerId) {
+  if (writerId === client.config.clientId) {
+    return client.config.publicSignKey || null
+  }
+
+  let info = await client.getClient(writerId)
+
+  return info.signingKey.ed25519 || null
+}
+
+/**
+ * Check the signature of a decrypted record against its writer's signing key.
+ *
+ * In 'if-present' mode, unsigned records and records that cannot be checked
+ * (because their writer has no signing key, or only some of their fields were
+ * decrypted) are accepted as they are. In 'required' mode they are rejected.
+ * Records with a signature that does not match are rejected in either mode.
+ *
+ * @param {Client} client    E3DB client instance
+ * @param {Record} record    Decrypted record
+ * @param {string} mode      One of 'off', 'if-present' or 'required'
+ * @param {bool}   [partial] Whether only some of the record's fields were decrypted
+ *
+ * @returns {Promise<Record>} The record, once verified
+ */
+async function verifyRecord(client, record, mode, partial = false) {
+  if (mode === 'off') {
+    return record
+  }
+
+  let context = {
+    recordId: record.meta.recordId,
+    writerId: record.meta.writerId,
+    userId: record.meta.userId,
+    type: record.meta.type
+  }
+  let reject = message => {
+    if (mode === 'required') {
+      throw new SignatureVerificationError(message, context)
+    }
+
+    return record
+  }
+
+  if (record.signature === null || record.signature === undefined) {
+    return reject('Record is not signed')
+  }
+  if (partial) {
+    return reject('Cannot verify a record with only some fields decrypted')
+  }
+
+  let signingKey = await getSigningKey(client, record.meta.writerId)
+  if (signingKey === null) {
+    return reject('Record writer has no signing key')
+  }
+
+  let info = new RecordInfo(record.meta, record.data)
+  if (!(await Crypto.verifyDocumentSignature(info, record.signature, signingKey))) {
+    throw new SignatureVerificationError('Document failed verification', context)
+  }
+
+  return record
+}
+
+/**
+ * Fetch the access key for a record type and use it to encrypt and sign a
+ * given record. The record passed in is left untouched.
+ *
+ * @param {Client} client E3DB client instance
+ * @param {Record} record Record to be encrypted
+ *
+ * @return {Promise<Record>}
+ */
+async function encryptRecord(client, record) {
+  let ak = await getOrCreateAccessKey(
+    client,
+    record.meta.writerId,
+    record.meta.userId,
+    record.meta.type
+  )
+
+  let encrypted = await Crypto.encryptRecord(record, ak)
+  let meta = record.meta
+  if ((meta.plain || {}).hasOwnProperty(RECORD_KEYS_FIELD)) {
+    // Every field was just encrypted with a fresh data key, so the copies wrapped
+    // for record-scoped sharing must be replaced before the record is signed.
+    let rak = await getAccessKey(
+      client,
+      meta.writerId,
+      meta.userId,
+      client.config.clientId,
+      RECORD_KEY_TYPE_PREFIX + meta.recordId
+    )
+    let plain = Object.assign({}, meta.plain)
+    if (rak === null) {
+      delete plain[RECORD_KEYS_FIELD]
+    } else {
+      let wrapped = await Crypto.wrapDataKeys(encrypted, ak, rak)
+      plain[RECORD_KEYS_FIELD] = JSON.stringify(wrapped)
+    }
+
+    meta = Object.assign(new Meta(), meta, { plain })
+    encrypted.meta.plain = plain
+  }
+
+  encrypted.signature =
+    client.config.version > 1
+      ? await client.sign(new RecordInfo(meta, record.data))
+      : null
+
+  return encrypted
+}
+
+/**
+ * Fetch the current client's access key for a record type, creating and storing
+ * a random one if none exists yet.
+ *
+ * @param {Client} client   E3DB client instance
+ * @param {string} writerId Writer/Authorizer for the access key
+ * @param {string} userId   Record subject
+ * @param {string} type     Record type for which the key will be used
+ *
+ * @returns {Promise<string>} Decrypted access key
+ */
+async function getOrCreateAccessKey(client, writerId, userId, type) {
+  let ak = await getAccessKey(client, writerId, userId, client.config.clientId, type)
+
+  if (ak === null) {
+    ak = await Crypto.randomKey()
+    await putAccessKey(client, writerId, userId, client.config.clientId, type, ak)
+  }
+
+  return ak
+}
+
+/**
+ * Add blind index tokens for the configured fields of a record type to its
+ * plaintext meta, replacing any stale tokens for fields no longer present.
+ *
+ * @param {Client} client   E3DB client instance
+ * @param {string} writerId Writer of the record
+ * @param {string} userId   Subject of the record
+ * @param {string} type     Type of the record
+ * @param {object} data     Plaintext record data
+ * @param {object} plain    Plaintext meta of the record
+ *
+ * @returns {Promise<object>} Plaintext meta including the blind index tokens
+ */
+async function indexPlain(client, writerId, userId, type, data, plain) {
+  let fields = client.blindIndex[type]
+  if (fields === undefined || fields.length === 0) {
+    return plain
+  }
+
+  let ak = await getOrCreateAccessKey(client, writerId, userId, type)
+  let indexed = Object.assign({}, plain)
+  for (let field of fields) {
+    if (data.hasOwnProperty(field)) {
+      indexed[BLIND_INDEX_PREFIX + field] = await Crypto.blindIndexToken(
+        ak,
+        field,
+        data[field]
+      )
+    } else {
+      delete indexed[BLIND_INDEX_PREFIX + field]
+    }
+  }
+
+  return indexed
+}
+
+/**
+ * Apply an async function to every item of a list, running at most a given
+ * number of calls at once. Each item's outcome is captured rather than thrown,
+ * so that one failure does not abandon the rest of the list.
+ *
+ * @param {array}    items        Items to process
+ * @param {number}   concurrency  Maximum number of calls in flight
+ * @param {function} fn           Async function called with each item and its index
+ * @param {function} [onProgress] Callback receiving the number of items completed and the total
+ *
+ * @returns {Promise<array>} `{ value, error }` for each item, in the order given
+ */
+async function mapConcurrent(items, concurrency, fn, onProgress = null) {
+  let results = new Array(items.length)
+  let next = 0
+  let completed = 0
+
+  let worker = async () => {
+    while (next < items.length) {
+      let index = next++
+      try {
+        results[index] = { value: await fn(items[index], index), error: null }
+      } catch (err) {
+        results[index] = { value: null, error: err }
+      }
+
+      completed += 1
+      if (onProgress !== null) {
+        onProgress(completed, items.length)
+      }
+    }
+  }
+
+  let workers = []
+  for (let i = 0; i < Math.max(1, Math.min(concurrency, items.length)); i++) {
+    workers.push(worker())
+  }
+  await Promise.all(workers)
+
+  return results
+}
+
+/**
+ * List the readers and authorizers a client has issued its own access keys to.
+ * Authorizers hold the access key for a type so they can share it on the
+ * client's behalf.
+ *
+ * @param {Client} client E3DB client instance
+ *
+ * @returns {Promise<array>} `{ readerId, type }` for each access key issued
+ */
+async function issuedAccessKeys(client) {
+  let issued = []
+  for (let policy of await keyHolderSharing(client)) {
+    issued.push({ readerId: policy.readerId, type: policy.recordType })
+  }
+  for (let policy of await client.outgoingAuthorizers()) {
+    issued.push({ readerId: policy.authorizerId, type: policy.recordType })
+  }
+
+  return issued
+}
+
+/**
+ * Share records of a type with a reader whose client information is already known.
+ *
+ * @param {Client}     client E3DB client instance
+ * @param {string}     type   Type of records to share
+ * @param {ClientInfo} info   Client information of the reader
+ * @param {Uint8Array} ak     Access key for the type
+ *
+ * @returns {Promise<bool>}
+ */
+async function sharePair(client, type, info, ak) {
+  let clientId = client.config.clientId
+  let eak = await Crypto.encryptAk(
+    client.config.privateKey,
+    ak,
+    info.publicKey.curve25519
+  )
+
+  await storeEncryptedAccessKey(client, clientId, clientId, info.clientId, type, eak)
+  await putPolicy(
+    client,
+    clientId,
+    clientId,
+    info.clientId,
+    type,
+    new Policy().allow('read')
+  )
+
+  return true
+}
+
+/**
+ * Revoke a reader's access to records of a type. A reader that holds no access
+ * key for the type is considered revoked already.
+ *
+ * @param {Client} client   E3DB client instance
+ * @param {string} type     Type of records to stop sharing
+ * @param {string} readerId Client ID of the reader
+ *
+ * @returns {Promise<bool>}
+ */
+async function revokePair(client, type, readerId) {
+  let clientId = client.config.clientId
+  await putPolicy(client, clientId, clientId, readerId, type, new Policy().deny('read'))
+  await revokeAccessKey(client, clientId, clientId, readerId, type)
+
+  return true
+}
+
+/**
+ * Look up the client information of every reader of a bulk sharing change once,
+ * and pair each reader with each type.
+ *
+ * @param {Client} client      E3DB client instance
+ * @param {array}  types       Record types
+ * @param {array}  readers     Client IDs or email addresses of readers
+ * @param {number} concurrency Maximum number of lookups in flight
+ *
+ * @returns {Promise<array>} `{ type, reader, info, error }` for each pair, types first
+ */
+async function sharingPairs(client, types, readers, concurrency) {
+  let unique = readers.filter((reader, index) => readers.indexOf(reader) === index)
+  let lookups = await mapConcurrent(unique, concurrency, reader =>
+    client.clientInfo(reader)
+  )
+
+  let pairs = []
+  for (let type of types) {
+    for (let reader of readers) {
+      let { value, error } = lookups[unique.indexOf(reader)]
+      pairs.push({ type, reader, info: value, error })
+    }
+  }
+
+  return pairs
+}
+
+/**
+ * List the readers and types the current client shares records with.
+ *
+ * @param {Client} client E3DB client instance
+ *
+ * @returns {Promise<array>} JSON-encoded `[readerId, type]` pairs
+ */
+async function sharedPairs(client) {
+  let outgoing = await keyHolderSharing(client)
+
+  return outgoing.map(policy => JSON.stringify([policy.readerId, policy.recordType]))
+}
+
+/**
+ * Determine whether a bulk sharing result names a pair that was already shared.
+ *
+ * @param {array}  shared Pairs as returned by `sharedPairs`
+ * @param {object} result Result of the bulk operation for the pair
+ *
+ * @returns {bool}
+ */
+function wasShared(shared, result) {
+  return shared.indexOf(JSON.stringify([result.readerId, result.type])) !== -1
+}
+
+/**
+ * Combine the pairs of a bulk sharing operation with their outcomes.
+ *
+ * @param {array} pairs    Pairs as returned by `sharingPairs`
+ * @param {array} outcomes `{ value, error }` for each pair
+ *
+ * @returns {array} `{ type, reader, readerId, error, rolledBack }` for each pair
+ */
+function bulkResults(pairs, outcomes) {
+  return pairs.map((pair, index) => ({
+    type: pair.type,
+    reader: pair.reader,
+    readerId: pair.info === null ? null : pair.info.clientId,
+    error: outcomes[index].error,
+    rolledBack: false
+  }))
+}
+
+/**
+ * Undo the changes of a bulk sharing operation, marking each result that was
+ * undone as `rolledBack` or recording the `rollbackError` raised. Pairs that
+ * failed are undone too, since they may have been partly changed.
+ *
+ * @param {array}    results     Results of the bulk operation
+ * @param {number}   concurrency Maximum number of changes undone at once
+ * @param {function} changed     Function determining whether the result at an index changed anything
+ * @param {function} undo        Async function undoing the change of the result at an index
+ *
+ * @returns {Promise<array>} The results
+ */
+async function rollBack(results, concurrency, changed, undo) {
+  let indexes = results.map((result, index) => index).filter(changed)
+  let outcomes = await mapConcurrent(indexes, concurrency, undo)
+
+  indexes.forEach((index, i) => {
+    results[index].rolledBack = outcomes[i].error === null
+    if (outcomes[i].error !== null) {
+      results[index].rollbackError = outcomes[i].error
+    }
+  })
+
+  return results
+}
+
+/**
+ * Pipe a source stream through a transform into a destination, resolving once
+ * the destination has flushed everything and rejecting if any stream errs.
+ *
+ * @param {Readable}  source      Stream providing the input
+ * @param {Transform} transform   Stream transforming the input
+ * @param {Writable}  destination Stream receiving the output
+ *
+ * @returns {Promise}
+ */
+async function pipeStreams(source, transform, destination) {
+  return new Promise((resolve, reject) => {
+    source.on('error', reject)
+    transform.on('error', reject)
+    destination.on('error', reject)
+    destination.on('finish', resolve)
+
+    source.pipe(transform).pipe(destination)
+  })
+}
+
+/**
+ * Core client module used to interact with the E3DB API.
+ *
+ * Additional behavior can be configured through the optional `options` argument:
+ *
+ * - `retryPolicy`: RetryPolicy applied to transient API failures
+ * - `tokenRenewalWindow`: Milliseconds before expiry at which to renew the auth token
+ * - `accessKeyCache`: Cache for decrypted access keys, such as a FileAccessKeyCache
+ * - `blindIndex`: Map of record types to the data fields to blind index on write
+ * - `verify`: Whether to check writer signatures on records read, written or queried:
+ *   'off' (the default), 'if-present' or 'required'
+ * - `clientCache`: Cache for other clients' information, such as a MemoryClientCache
+ * - `keyPins`: Store of the keys first seen for each client, such as a FileKeyPinStore
+ * - `onKeyChange`: Function called with a client ID and its pinned and received
+ *   keys when they differ; the new keys are only trusted if it resolves to `true`,
+ *   otherwise a KeyChangedError is raised
+ *
+ * @property {Config}               config             E3DB client configuration.
+ * @property {Transport}            transport          HTTP transport through which all API calls are sent.
+ * @property {RetryPolicy}          retryPolicy        Policy for retrying transient API failures.
+ * @property {number}               tokenRenewalWindow Milliseconds before expiry at which to renew the auth token.
+ * @property {MemoryAccessKeyCache} accessKeyCache     Cache for decrypted access keys.
+ * @property {object}               blindIndex         Map of record types to the data fields to blind index.
+ * @property {string}               verification       Default signature verification mode.
+ * @property {MemoryClientCache}    clientCache        Cache for other clients' information.
+ * @property {MemoryKeyPinStore}    keyPins            Store of pinned client keys.
+ * @property {function}             onKeyChange        Hook deciding whether to trust changed client keys.
+ */
+export default class Client {
+  constructor(config, transport = null, options = {}) {
+    this.config = config
+    this.transport = transport === null ? new Transport() : transport
+    this.retryPolicy = options.retryPolicy || new RetryPolicy()
+    this.tokenRenewalWindow =
+      options.tokenRenewalWindow === undefined
+        ? DEFAULT_TOKEN_RENEWAL_WINDOW
+        : options.tokenRenewalWindow
+    this._authToken = null
+    this._authTokenTimeout = 0 // Minimum UNIX timestamp
+    this._tokenRequest = null
+    this._clockSkew = 0
+    this.accessKeyCache = options.accessKeyCache || new MemoryAccessKeyCache()
+    this.blindIndex = options.blindIndex || {}
+    this.verification = verifyMode(options.verify || 'off')
+    this.clientCache = options.clientCache || new MemoryClientCache()
+    this.keyPins = options.keyPins || new MemoryKeyPinStore()
+    this.onKeyChange = options.onKeyChange || null
+    this._clientLookups = new Map()
+  }
+
+  /**
+   * Get an access key from the cache if it exists, otherwise decrypt
+   * the provided EAK and populate the cache.
+   *
+   * @param {string}  writerId
+   * @param {string}  userId
+   * @param {string}  readerId
+   * @param {string}  type
+   * @param {EAKInfo} eak
+   *
+   * @returns {Promise<string>}
+   */
+  async _getCachedAk(writerId, userId, readerId, type, eak) {
+    let ak = await this.accessKeyCache.get(writerId, userId, type)
+
+    if (ak === undefined) {
+      ak = await Crypto.decryptEak(this.config.privateKey, eak)
+      await this.accessKeyCache.set(writerId, userId, type, ak)
+    }
+
+    return Promise.resolve(ak)
+  }
+
+  /**
+   * Remove access keys from the local cache, forcing them to be fetched from
+   * the server again the next time they are needed.
+   *
+   * @param {object} [filter] Optional `writerId`, `userId` and/or `type` to match; clears everything if empty
+   *
+   * @returns {Promise}
+   */
+  async clearAccessKeyCache(filter = {}) {
+    return this.accessKeyCache.clear(filter)
+  }
+
+  /**
+   * Get a client's information based on their ID.
+   *
+   * @param {string} clientId UUID of the client to fetch
+   *
+   * @returns {Promise<ClientInfo>}
+   */
+  async getClient(clientId) {
+    let cached = await this.clientCache.get(clientId)
+    if (cached !== undefined) {
+      return cached
+    }
+
+    // Concurrent lookups of the same client share a single request
+    if (!this._clientLookups.has(clientId)) {
+      let lookup = fetchClient(this, clientId)
+      let settle = () => this._clientLookups.delete(clientId)
+      this._clientLookups.set(clientId, lookup)
+      lookup.then(settle, settle)
+    }
+
+    return this._clientLookups.get(clientId)
+  }
+
+  /**
+   * Forget everything known about a client: its cached information and its
+   * pinned keys. The keys the server next reports for it will be trusted and
+   * pinned anew, so only do this once a key change has been confirmed.
+   *
+   * @param {string} clientId UUID of the client
+   *
+   * @returns {Promise}
+   */
+  async forgetClient(clientId) {
+    await this.clientCache.delete(clientId)
+    await this.keyPins.delete(clientId)
+  }
+
+  /**
+   * Create a key for the current client as a writer if one does not exist
+   * in the cache already. If no access key does exist, create a random one
+   * and store it with the server.
+   *
+   * @param {string} type Record type for this key
+   *
+   * @returns {Promise<EAKInfo>}
+   */
+  async createWriterKey(type) {
+    let ak = await getAccessKey(
+      this,
+      this.config.clientId,
+      this.config.clientId,
+      this.config.clientId,
+      type
+    )
+
+    if (ak === null) {
+      ak = await Crypto.randomKey()
+      await putAccessKey(
+        this,
+        this.config.clientId,
+        this.config.clientId,
+        this.config.clientId,
+        type,
+        ak
+      )
+    }
+
+    let eak = await Crypto.encryptAk(this.config.privateKey, ak, this.config.publicKey)
+
+    return new EAKInfo(
+      eak,
+      this.config.clientId,
+      this.config.publicKey,
+      this.config.clientId,
+      this.config.publicSignKey
+    )
+  }
+
+  /**
+   * Get a key for the current client as the reader of a specific record written by someone else.
+   *
+   * @param {string} writerId Writer of the record in the database
+   * @param {string} userID   Subject of the record in the database
+   * @param {string} type     Type of record
+   *
+   * @returns {Promise<EAKInfo>}
+   */
+  async getReaderKey(writerId, userId, type) {
+    return getEncryptedAccessKey(this, writerId, userId, this.config.clientId, type)
+  }
+
+  /**
+   * Retrieve information about a client, primarily its UUID and public key,
+   * based either on an already-known client ID or a discoverable client
+   * email address. Raises a ClientNotFoundError if no client was registered
+   * with the email address.
+   *
+   * @param {string} clientId Client ID or email address
+   *
+   * @returns {Promise<ClientInfo>}
+   */
+  async clientInfo(clientId) {
+    if (EMAIL.test(clientId)) {
+      // ID is an email address
+      return findClient(this, clientId)
+    }
+
+    return this.getClient(clientId)
+  }
+
+  /**
+   * Retrieve the Curve 25519 public key associated with a known client.
+   *
+   * @param {string} clientId
+   *
+   * @returns {Promise<PublicKey>}
+   */
+  async clientKey(clientId) {
+    if (clientId === this.clientId) {
+      return Promise.resolve(null)
+    }
+
+    let info = await this.clientInfo(clientId)
+    return Promise.resolve(info.publicKey)
+  }
+
+  /**
+   * Reads a record from the E3DB system and decrypts it automatically.
+   *
+   * Options:
+   *
+   * - `verify`: Signature verification mode for this call, overriding the client's
+   *
+   * @param {string} recordId
+   * @param {array}  [fields]  Optional fields to select on the record
+   * @param {object} [options] Optional settings for this call
+   *
+   * @returns {Promise<Record>}
+   */
+  async read(recordId, fields = null, options = {}) {
+    let mode = verifyMode(options.verify || this.verification)
+    let record = await fetchRecord(this, recordId, fields)
+    let decrypted = await decryptRecord(this, record, fields)
+
+    return verifyRecord(this, decrypted, mode, fields !== null)
+  }
+
+  /**
+   * Create a new record entry with E3DB.
+   *
+   * @param {string} type  The content type with which to associate the record.
+   * @param {object} data  A hashmap of the data to encrypt and store
+   * @param {object} plain Optional hashmap of data to store with the record's meta in plaintext
+   *
+   * @return {Promise<Record>}
+   */
+  async write(type, data, plain = {}) {
+    // Build the record
+    if (data instanceof Object) {
+      data = new RecordData(data)
+    }
+
+    let clientId = this.config.clientId
+    plain = await indexPlain(this, clientId, clientId, type, data, plain)
+
+    let meta = new Meta(clientId, clientId, type, plain)
+    let encrypted = await encryptRecord(this, new Record(meta, data))
+
+    return this.writeRaw(encrypted)
+  }
+
+  /**
+   * Create many new records of the same type, sending at most `concurrency`
+   * requests at once.
+   *
+   * The type's access key is looked up (or created) once before any record is
+   * written. A failure writing one record does not stop the others; instead
+   * each entry of the returned array holds either the written `record` or the
+   * typed `error` raised for the item at the same position.
+   *
+   * Options:
+   *
+   * - `concurrency`: Maximum number of records to write at once (default 4)
+   * - `plain`: Plaintext meta for every record, or a function mapping each item and its index to it
+   * - `onProgress`: Callback receiving the number of items completed and the total
+   *
+   * @param {string} type    The content type with which to associate the records.
+   * @param {array}  items   Hashmaps of the data to encrypt and store, one per record
+   * @param {object} options Optional batch settings
+   *
+   * @return {Promise<array>} `{ record, error }` for each item, in the order given
+   */
+  async writeMany(
+    type,
+    items,
+    { concurrency = DEFAULT_CONCURRENCY, plain = {}, onProgress = null } = {}
+  ) {
+    let clientId = this.config.clientId
+    await getOrCreateAccessKey(this, clientId, clientId, type)
+
+    let results = await mapConcurrent(
+      items,
+      concurrency,
+      (item, index) =>
+        this.write(type, item, typeof plain === 'function' ? plain(item, index) : plain),
+      onProgress
+    )
+
+    return results.map(({ value, error }) => ({ record: value, error: error }))
+  }
+
+  /**
+   * Write a previously stored encrypted/signed record directly to E3DB.
+   *
+   * Options:
+   *
+   * - `verify`: Signature verification mode for the written record, overriding the client's
+   *
+   * @param {Record} record    The fully-constructed record object, as returned by `encrypt()`
+   * @param {object} [options] Optional settings for this call
+   *
+   * @return {Promise<Record>}
+   */
+  async writeRaw(record, options = {}) {
+    if (!(record instanceof Record)) {
+      throw new Error('Can only write encrypted/signed records directly to the server!')
+    }
+    let mode = verifyMode(options.verify || this.verification)
+
+    let request = await oauthFetch(
+      this,
+      this.config.apiUrl + '/v1/storage/records',
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: record.stringify()
+      },
+      this.retryPolicy.retryWrites
+    )
+
+    let response = await checkStatus(request, { type: record.meta.type })
+    let json = await response.json()
+    let written = await Record.decode(json)
+    let decrypted = await decryptRecord(this, written)
+
+    return verifyRecord(this, decrypted, mode)
+  }
+
+  /**
+   * Encrypt a plaintext record using the AK wrapped and encrypted for the current
+   * client. The key will be cached for future use.
+   *
+   * @param {string}            type  The content type with which to associate the record.
+   * @param {RecordData|object} data  A hashmap of the data to encrypt and store
+   * @param {object}            eak   Encrypted access key instance
+   * @param {object}            plain Optional hashmap of data to store with the record's meta in plaintext
+   *
+   * @returns {Promise<Record>}
+   */
+  async encrypt(type, data, eak, plain = {}) {
+    let ak = await this._getCachedAk(
+      this.config.clientId,
+      this.config.clientId,
+      this.config.clientId,
+      type,
+      eak
+    )
+
+    if (data instanceof Object) {
+      data = new RecordData(data)
+    }
+
+    // Build the record
+    let meta = new Meta(this.config.clientId, this.config.clientId, type, plain)
+    let recordInfo = new RecordInfo(meta, data)
+    let signature = this.config.version > 1 ? await this.sign(recordInfo) : null
+    let record = new Record(meta, data, signature)
+
+    return Crypto.encryptRecord(record, ak)
+  }
+
+  /**
+   * Sign a document and return the signature
+   *
+   * @param {Signable} document Serializable object to be signed.
+   *
+   * @returns {Promise<string>}
+   */
+  async sign(document) {
+    if (this.config.version === 1) {
+      throw new Error('Cannot sign documents without a signing key!')
+    }
+
+    return Crypto.signDocument(document, this.config.privateSignKey)
+  }
+
+  /**
+   * Decrypt an encrypted record using the AK wrapped and encrypted for the current
+   * client. The key will be cached for future use.
+   *
+   * @param {Record}  record Record instance with encrypted data for decryption
+   * @param {EAKInfo} eak    Encrypted access key instance
+   *
+   * @returns {Promise<Record>}
+   */
+  async decrypt(record, eak) {
+    if (eak.signerSigningKey === null) {
+      throw new Error('EAKInfo has no signing key!')
+    }
+
+    let ak = await this._getCachedAk(
+      record.meta.writerId,
+      record.meta.userId,
+      this.config.clientId,
+      record.meta.type,
+      eak
+    )
+
+    let decrypted = await Crypto.decryptRecord(record, ak)
+    let info = new RecordInfo(decrypted.meta, decrypted.data)
+    let signed = new SignedDocument(info, decrypted.signature)
+
+    let verify = await this.verify(signed, eak.signerSigningKey.ed25519)
+    if (!verify) {
+      throw new SignatureVerificationError('Document failed verification', {
+        recordId: record.meta.recordId,
+        writerId: record.meta.writerId,
+        userId: record.meta.userId,
+        type: record.meta.type
+      })
+    }
+
+    return decrypted
+  }
+
+  /**
+   * Verify the signature attached to a specific document.
+   *
+   * @param {SignedDocument} signed        Document with an attached signature
+   * @param {string}         publicSignKey Key to use during signature verification
+   *
+   * @returns {Promise<bool>}
+   */
+  async verify(signed, publicSignKey) {
+    let verified = await Crypto.verifyDocumentSignature(
+      signed.document,
+      signed.signature,
+      publicSignKey
+    )
+
+    return Promise.resolve(verified)
+  }
+
+  /**
+   * Update a record, with optimistic concurrent locking, that already exists in the E3DB system.
+   *
+   * @param {Record} record Record to be updated.
+   *
+   * @returns {Promise<Record>} Updated record
+   */
+  async update(record) {
+    let recordId = record.meta.recordId
+    let version = record.meta.version
+
+    let plain = await indexPlain(
+      this,
+      record.meta.writerId,
+      record.meta.userId,
+      record.meta.type,
+      record.data,
+      record.meta.plain
+    )
+
+    // Blind index tokens only go on the outgoing copy, never the caller's record
+    let meta = Object.assign(new Meta(), record.meta, { plain })
+    let encrypted = await encryptRecord(this, new Record(meta, record.data))
+
+    return oauthFetch(
+      this,
+      this.config.apiUrl + '/v1/storage/records/safe/' + recordId + '/' + version,
+      {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: encrypted.stringify()
+      },
+      true
+    )
+      .then(response =>
+        checkStatus(response, { recordId, version, type: record.meta.type })
+      )
+      .then(response => response.json())
+      .then(Record.decode)
+      .then(record => decryptRecord(this, record))
+  }
+
+  /**
+   * Update many records, each with optimistic concurrent locking, sending at
+   * most `concurrency` requests at once.
+   *
+   * Access keys are looked up once for each distinct record type before any
+   * record is updated. Each entry of the returned array holds either the
+   * updated `record` or the typed `error` (such as a ConflictError) raised for
+   * the record at the same position.
+   *
+   * Options:
+   *
+   * - `concurrency`: Maximum number of records to update at once (default 4)
+   * - `onProgress`: Callback receiving the number of records completed and the total
+   *
+   * @param {array}  records Records to be updated
+   * @param {object} options Optional batch settings
+   *
+   * @return {Promise<array>} `{ record, error }` for each record, in the order given
+   */
+  async updateMany(
+    records,
+    { concurrency = DEFAULT_CONCURRENCY, onProgress = null } = {}
+  ) {
+    let seen = {}
+    for (let record of records) {
+      let { writerId, userId, type } = record.meta
+      let id = JSON.stringify([writerId, userId, type])
+      if (seen[id] === undefined) {
+        seen[id] = true
+        await getOrCreateAccessKey(this, writerId, userId, type)
+      }
+    }
+
+    let results = await mapConcurrent(
+      records,
+      concurrency,
+      record => this.update(record),
+      onProgress
+    )
+
+    return results.map(({ value, error }) => ({ record: value, error: error }))
+  }
+
+  /**
+   * Deletes a record from the E3DB system
+   *
+   * @param {string} recordId  ID of the record to remove
+   * @param {string} [version] Optional version ID to remove safely
+   *
+   * @returns {Promise<bool>}
+   */
+  async delete(recordId, version = null) {
+    let url = this.config.apiUrl + '/v1/storage/records/' + recordId
+    if (version !== null) {
+      url = this.config.apiUrl + '/v1/storage/records/safe/' + recordId + '/' + version
+    }
+
+    let response = await oauthFetch(
+      this,
+      url,
+      {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      },
+      version !== null
+    )
+
+    await checkStatus(response, { recordId, version })
+
+    return Promise.resolve(true)
+  }
+
+  /**
+   * Delete every record matching a query.
    *
-   * @param {string} type Record type for this key
+   * Matching records are found a page at a time, without fetching their data,
+   * and each page is deleted with at most `concurrency` requests at once. A
+   * failure deleting one record does not stop the others; each is reported in
+   * the returned summary instead. Records already gone are counted as deleted.
    *
-   * @returns {Promise<EAKInfo>}
+   * The query is described with the same options as `query()`: `writer`,
+   * `record`, `type`, `plain` and `pageSize`.
+   *
+   * Options:
+   *
+   * - `dryRun`: List the records that would be deleted without deleting them
+   * - `concurrency`: Maximum number of records to delete at once (default 4)
+   * - `useVersion`: Only delete records still at the version found by the query
+   *
+   * @param {object} queryOptions Query selecting the records to delete
+   * @param {object} options      Optional deletion settings
+   *
+   * @returns {Promise<object>} IDs of the records `deleted`, `conflicted` and `forbidden`,
+   *                            plus `{ recordId, error }` for any that `failed` otherwise
    */
-  async createWriterKey(type) {
+  async deleteWhere(
+    {
+      writer = null,
+      record = null,
+      type = null,
+      plain = null,
+      pageSize = DEFAULT_QUERY_COUNT
+    } = {},
+    { dryRun = false, concurrency = DEFAULT_CONCURRENCY, useVersion = false } = {}
+  ) {
+    let summary = { deleted: [], conflicted: [], forbidden: [], failed: [] }
+    let result = this.query(false, writer, record, type, plain, pageSize)
+
+    for (let page = await result.next(); page.length > 0; page = await result.next()) {
+      if (dryRun) {
+        summary.deleted.push(...page.map(found => found.meta.recordId))
+        continue
+      }
+
+      let outcomes = await mapConcurrent(page, concurrency, found =>
+        this.delete(found.meta.recordId, useVersion ? found.meta.version : null)
+      )
+
+      outcomes.forEach(({ error }, i) => {
+        let recordId = page[i].meta.recordId
+        if (error === null || error instanceof NotFoundError) {
+          summary.deleted.push(recordId)
+        } else if (error instanceof ConflictError) {
+          summary.conflicted.push(recordId)
+        } else if (error instanceof ForbiddenError) {
+          summary.forbidden.push(recordId)
+        } else {
+          summary.failed.push({ recordId, error })
+        }
+      })
+    }
+
+    return summary
+  }
+
+  /**
+   * Back up the client's configuration to E3DB in a serialized format that can be read
+   * by the Admin Console. The stored configuration will be shared with the specified client,
+   * and the account service notified that the sharing has taken place.
+   *
+   * @param {string} clientId          Unique ID of the client to which we're backing up
+   * @param {string} registrationToken Original registration token used to create the client
+   *
+   * @returns {Promise<bool>}
+   */
+  async backup(clientId, registrationToken) {
+    /* eslint-disable camelcase */
+    let credentials = {
+      version: '"' + this.config.version.toString() + '"',
+      client_id: '"' + this.config.clientId + '"',
+      api_key_id: '"' + this.config.apiKeyId + '"',
+      api_secret: '"' + this.config.apiSecret + '"',
+      client_email: '""',
+      public_key: '"' + this.config.publicKey + '"',
+      private_key: '"' + this.config.privateKey + '"'
+    }
+
+    if (this.config.version === 2) {
+      credentials.public_sign_key = '"' + this.config.publicSignKey + '"'
+      credentials.private_sign_key = '"' + this.config.privateSignKey + '"'
+    }
+
+    credentials.api_url = '"' + this.config.apiUrl + '"'
+    /* eslint-enable */
+
+    await this.write('tozny.key_backup', credentials, {
+      client: this.config.clientId
+    })
+
+    await this.share('tozny.key_backup', clientId)
+
+    await this.transport.request(
+      this.config.apiUrl +
+        '/v1/account/backup/' +
+        registrationToken +
+        '/' +
+        this.config.clientId,
+      {
+        method: 'POST'
+      }
+    )
+
+    return Promise.resolve(true)
+  }
+
+  /**
+   * Encrypt a large file or blob as a stream and record the metadata needed to
+   * decrypt it in a new E3DB record of the given type.
+   *
+   * The plaintext is read from `source` and encrypted in chunks with a random
+   * secretstream key, itself encrypted with the type's access key. Ciphertext is
+   * written to `destination`, which can be any Writable such as a file or an
+   * upload. The wrapped stream key, header and integrity metadata are then
+   * stored through `write()`. Only clients holding the type's access key can
+   * decrypt the file, and `rekeyType()` re-wraps the stream key with the new one.
+   *
+   * @param {string}   type        The content type with which to associate the file record.
+   * @param {Readable} source      Stream providing the plaintext
+   * @param {Writable} destination Stream receiving the ciphertext
+   * @param {object}   plain       Optional hashmap of data to store with the record's meta in plaintext
+   *
+   * @returns {Promise<Record>} The record describing the encrypted file
+   */
+  async writeFile(type, source, destination, plain = {}) {
+    let clientId = this.config.clientId
+    let ak = await getOrCreateAccessKey(this, clientId, clientId, type)
+    let key = await Crypto.randomStreamKey()
+    let encryptor = await Crypto.encryptStream(key)
+
+    await pipeStreams(source, encryptor, destination)
+
+    /* eslint-disable camelcase */
+    let data = {
+      [FILE_KEY_FIELD]: await Crypto.wrapStreamKey(key, ak),
+      header: await Crypto.b64encode(encryptor.header),
+      chunk_size: encryptor.chunkSize.toString(),
+      chunks: encryptor.chunks.toString(),
+      size: encryptor.size.toString(),
+      checksum: encryptor.checksum
+    }
+    /* eslint-enable */
+
+    return this.write(type, data, plain)
+  }
+
+  /**
+   * Decrypt a file previously encrypted with `writeFile()`.
+   *
+   * The ciphertext is read from `source` and the plaintext written to
+   * `destination`. The returned promise rejects if the ciphertext has been
+   * modified or truncated, or does not match the size and checksum stored
+   * in the file record, or if this client does not hold the access key for
+   * the file's type.
+   *
+   * @param {string|Record} record      ID of the file record, or the already-read record itself
+   * @param {Readable}      source      Stream providing the ciphertext
+   * @param {Writable}      destination Stream receiving the plaintext
+   *
+   * @returns {Promise<Record>} The record describing the encrypted file
+   */
+  async readFile(record, source, destination) {
+    if (!(record instanceof Record)) {
+      record = await this.read(record)
+    }
+
+    let meta = record.meta
     let ak = await getAccessKey(
       this,
+      meta.writerId,
+      meta.userId,
       this.config.clientId,
-      this.config.clientId,
-      this.config.clientId,
-      type
+      meta.type
     )
-
     if (ak === null) {
-      ak = await Crypto.randomKey()
-      await putAccessKey(
-        this,
-        this.config.clientId,
-        this.config.clientId,
-        this.config.clientId,
-        type,
-        ak
-      )
+      throw new MissingAccessKeyError('No access key available.', {
+        recordId: meta.recordId,
+        writerId: meta.writerId,
+        userId: meta.userId,
+        readerId: this.config.clientId,
+        type: meta.type
+      })
     }
 
-    let eak = await Crypto.encryptAk(this.config.privateKey, ak, this.config.publicKey)
+    let decryptor = await Crypto.decryptStream(
+      await Crypto.unwrapStreamKey(record.data[FILE_KEY_FIELD], ak),
+      await Crypto.b64decode(record.data.header),
+      parseInt(record.data.chunk_size, 10),
+      record.data.checksum,
+      parseInt(record.data.size, 10)
+    )
 
-    return new EAKInfo(
-      eak,
-      this.config.clientId,
-      this.config.publicKey,
-      this.config.clientId,
-      this.config.publicSignKey
+    await pipeStreams(source, decryptor, destination)
+
+    return record
+  }
+
+  /**
+   * Query E3DB records according to a set of selection criteria.
+   *
+   * The default behavior is to return all records written by the
+   * current authenticated client.
+   *
+   * To restrict the results to a particular type, pass a type or
+   * list of types as the `type` argument.
+   *
+   * To restrict the results to a set of clients, pass a single or
+   * list of client IDs as the `writer` argument. To list records
+   * written by any client that has shared with the current client,
+   * pass the special string 'all' as the `writer` argument.
+   *
+   * The returned QueryResult can be paged manually via `next()` or consumed
+   * one record at a time with `for await (const record of result)`.
+   *
+   * @param {bool}         data      Flag to include data in records
+   * @param {string|array} writer    Select records written by a single writer, a list of writers, or 'all'
+   * @param {string|array} record    Select a single record or list of records
+   * @param {string|array} type      Select records of a single type or a list of types
+   * @param {object|Plain} plain     Plaintext meta filter, either raw or as a structured predicate
+   * @param {number}       pageSize  Number of records to fetch per request
+   * @param {number}       [limit]   Maximum number of records to yield when iterating the result
+   * @param {object}       [options] Optional date ranges, ordering, fields and verification, as accepted by `Query::withOptions()`
+   *
+   * @returns {QueryResult}
+   */
+  query(
+    data = true,
+    writer = null,
+    record = null,
+    type = null,
+    plain = null,
+    pageSize = DEFAULT_QUERY_COUNT,
+    limit = null,
+    options = {}
+  ) {
+    let allWriters = false
+    if (writer === 'all') {
+      allWriters = true
+      writer = []
+    }
+
+    let query = new Query(
+      0,
+      data,
+      writer,
+      record,
+      type,
+      plain,
+      null,
+      pageSize,
+      allWriters
+    ).withOptions(options)
+
+    return new QueryResult(this, query, limit)
+  }
+
+  /**
+   * Start building a query with a fluent interface exposing every query filter.
+   *
+   * @returns {QueryBuilder}
+   */
+  find() {
+    return new QueryBuilder(this)
+  }
+
+  /**
+   * Internal-only method to execute a query against the server and parse the response.
+   *
+   * @param {Query} query Query request to execute against the server
+   *
+   * @returns {QueryResult}
+   */
+  async _query(query) {
+    let response = await oauthFetch(
+      this,
+      this.config.apiUrl + '/v1/storage/search',
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: query.stringify()
+      },
+      true
     )
+    await checkStatus(response)
+    return response.json()
   }
 
   /**
-   * Get a key for the current client as the reader of a specific record written by someone else.
+   * Internal-only method to check the signature of a record found by a query.
    *
-   * @param {string} writerId Writer of the record in the database
-   * @param {string} userID   Subject of the record in the database
-   * @param {string} type     Type of record
+   * @param {Record} record  Decrypted record
+   * @param {string} mode    Signature verification mode
+   * @param {bool}   partial Whether only some of the record's fields were decrypted
    *
-   * @returns {Promise<EAKInfo>}
+   * @returns {Promise<Record>}
    */
-  async getReaderKey(writerId, userId, type) {
-    return getEncryptedAccessKey(this, writerId, userId, this.config.clientId, type)
+  async _verifyRecord(record, mode, partial) {
+    return verifyRecord(this, record, mode, partial)
+  }
+
+  /**
+   * Internal-only method to replace the encrypted field searches of a query
+   * with equivalent filters on blind index tokens.
+   *
+   * Tokens depend on the access key of each writer, user and type, so one is
+   * computed for every combination the query selects that the current client
+   * can read.
+   *
+   * @param {Query} query Query with encrypted field searches to resolve
+   *
+   * @returns {Promise<bool>} Whether any record could still match the query
+   */
+  async _resolveBlindIndex(query) {
+    let clientId = this.config.clientId
+    let writers = query.writerIds === null ? [clientId] : query.writerIds
+
+    let aks = []
+    for (let writerId of writers) {
+      for (let userId of query.userIds === null ? [writerId] : query.userIds) {
+        for (let type of query.contentTypes) {
+          let ak = await getAccessKey(this, writerId, userId, clientId, type)
+          if (ak !== null) {
+            aks.push(ak)
+          }
+        }
+      }
+    }
+    if (aks.length === 0) {
+      return false
+    }
+
+    let predicates = []
+    for (let { field, value } of query.blindIndex) {
+      let tokens = []
+      for (let ak of aks) {
+        tokens.push(await Crypto.blindIndexToken(ak, field, value))
+      }
+      predicates.push(Plain.anyOf(BLIND_INDEX_PREFIX + field, tokens))
+    }
+
+    if (query.plain !== null) {
+      predicates.unshift(query.plain)
+    }
+
+    query.plain = predicates.length === 1 ? predicates[0] : Plain.and(predicates)
+    query.blindIndex = []
+
+    return true
+  }
+
+  /**
+   * Grant another E3DB client access to records of a particular type.
+   *
+   * @param {string} type     Type of records to share
+   * @param {string} readerId Client ID or email address of reader to grant access to
+   *
+   * @returns {Promise<bool>}
+   */
+  async share(type, readerId) {
+    if (readerId === this.config.clientId) {
+      return Promise.resolve(true)
+    }
+
+    let info = await this.clientInfo(readerId)
+    if (info.clientId === this.config.clientId) {
+      return Promise.resolve(true)
+    }
+
+    let clientId = this.config.clientId
+    let ak = await getOrCreateAccessKey(this, clientId, clientId, type)
+
+    return sharePair(this, type, info, ak)
+  }
+
+  /**
+   * Grant another E3DB client access to records of a particular type, encrypting
+   * the access key to a Curve25519 public key supplied by the caller rather than
+   * the one the server reports for the reader.
+   *
+   * The supplied key is checked against, or else pinned as, the reader's pinned
+   * key, raising a KeyChangedError as for any other lookup if they differ.
+   *
+   * In offline mode nothing is written to the server. Instead, the encrypted
+   * access key and sharing policy are returned as a ShareBundle signed with the
+   * client's signing key, to be passed to `submitShareBundle` later. The access
+   * key for the type must already exist in that case.
+   *
+   * @param {string} type      Type of records to share
+   * @param {string} readerId  Client ID of reader to grant access to
+   * @param {string} publicKey Base64URL-encoded Curve25519 public key of the reader
+   * @param {bool}   [offline] Whether to return a signed bundle instead of sharing immediately
+   *
+   * @returns {Promise<bool|ShareBundle>}
+   */
+  async shareWithKey(type, readerId, publicKey, offline = false) {
+    let clientId = this.config.clientId
+    if (readerId === clientId) {
+      if (offline) {
+        throw new Error('Cannot prepare a share bundle for the current client')
+      }
+      return true
+    }
+
+    // The supplied key says nothing about the reader's signing key, so keep the pinned one
+    let pinned = await this.keyPins.get(readerId)
+    let signingKey = new SigningKey(pinned === undefined ? null : pinned.ed25519)
+    let supplied = new ClientInfo(readerId, new PublicKey(publicKey), false, signingKey)
+    await checkPinnedKeys(this, readerId, supplied)
+    await this.clientCache.delete(readerId)
+
+    let ak
+    if (offline) {
+      ak = await getAccessKey(this, clientId, clientId, clientId, type)
+      if (ak === null) {
+        throw new MissingAccessKeyError('No access key exists yet for type ' + type, {
+          writerId: clientId,
+          userId: clientId,
+          type
+        })
+      }
+    } else {
+      ak = await getOrCreateAccessKey(this, clientId, clientId, type)
+    }
+
+    let eak = await Crypto.encryptAk(this.config.privateKey, ak, publicKey)
+    let policy = new Policy().allow('read')
+
+    if (!offline) {
+      await storeEncryptedAccessKey(this, clientId, clientId, readerId, type, eak)
+      await putPolicy(this, clientId, clientId, readerId, type, policy)
+
+      return true
+    }
+
+    let bundle = new ShareBundle(
+      clientId,
+      clientId,
+      readerId,
+      type,
+      eak,
+      this.config.publicKey,
+      publicKey,
+      policy.serializable()
+    )
+    bundle.signature = await this.sign(bundle)
+
+    return bundle
   }
 
   /**
-   * Retrieve information about a client, primarily its UUID and public key,
-   * based either on an already-known client ID or a discoverable client
-   * email address.
+   * Submit a share prepared offline by `shareWithKey`, storing its encrypted
+   * access key and applying its sharing policy. The bundle's signature is
+   * checked against its writer's signing key first, and a bundle that fails
+   * verification raises a SignatureVerificationError. If the writer's public key
+   * or the reader's pinned key has changed since the bundle was prepared, a
+   * KeyChangedError is raised instead of storing an access key the reader
+   * cannot open.
    *
-   * @param {string} clientId
+   * @param {ShareBundle} bundle Signed share bundle
    *
-   * @returns {Promise<ClientInfo>}
+   * @returns {Promise<bool>}
    */
-  async clientInfo(clientId) {
-    if (EMAIL.test(clientId)) {
-      // ID is an email address
-      throw new Error('Client discovery by email address is not supported')
+  async submitShareBundle(bundle) {
+    let { writerId, userId, readerId, type } = bundle
+    let context = { writerId, userId, readerId, type }
+
+    let signingKey = await getSigningKey(this, writerId)
+    if (bundle.signature === null || signingKey === null) {
+      throw new SignatureVerificationError('Share bundle is not signed', context)
+    }
+    let verified = await Crypto.verifyDocumentSignature(
+      bundle.unsigned(),
+      bundle.signature,
+      signingKey
+    )
+    if (!verified) {
+      throw new SignatureVerificationError('Share bundle failed verification', context)
     }
 
-    return this.getClient(clientId)
+    // The writer may have rotated its key pair, or the reader's pin changed, since
+    // the bundle was prepared, and the reader could no longer open its access key
+    let writerKey =
+      writerId === this.config.clientId
+        ? this.config.publicKey
+        : (await this.getClient(writerId)).publicKey.curve25519
+    checkBundleKey(writerId, writerKey, bundle.authorizerPublicKey.curve25519, context)
+
+    let pinned = await this.keyPins.get(readerId)
+    let readerKey =
+      pinned === undefined
+        ? (await this.getClient(readerId)).publicKey.curve25519
+        : pinned.curve25519
+    checkBundleKey(readerId, readerKey, bundle.readerPublicKey.curve25519, context)
+
+    await storeEncryptedAccessKey(this, writerId, userId, readerId, type, bundle.eak)
+    let policy = await Policy.decode(bundle.policy)
+    await putPolicy(this, writerId, userId, readerId, type, policy)
+
+    return true
   }
 
   /**
-   * Retrieve the Curve 25519 public key associated with a known client.
+   * Revoke another E3DB client's access to records of a particular type. A
+   * reader that holds no access key for the type is considered revoked already.
    *
-   * @param {string} clientId
+   * @param {string} type     Type of records to share
+   * @param {string} readerId Client ID or email address of reader to grant access from
    *
-   * @returns {Promise<PublicKey>}
+   * @returns {Promise<bool>}
    */
-  async clientKey(clientId) {
-    if (clientId === this.clientId) {
-      return Promise.resolve(null)
+  async revoke(type, readerId) {
+    if (EMAIL.test(readerId)) {
+      let clientInfo = await this.clientInfo(readerId)
+      readerId = clientInfo.clientId
+    }
+    if (readerId === this.config.clientId) {
+      return Promise.resolve(true)
     }
 
-    let info = await this.clientInfo(clientId)
-    return Promise.resolve(info.publicKey)
+    return revokePair(this, type, readerId)
   }
 
   /**
-   * Reads a record from the E3DB system and decrypts it automatically.
+   * Grant many readers access to records of many types, changing the policy
+   * for at most `concurrency` reader and type pairs at once.
    *
-   * @param {string} recordId
-   * @param {array}  [fields] Optional fields to select on the record
+   * Each reader's client information and each type's access key are looked up
+   * once before anything is shared. A failure for one pair does not stop the
+   * others; each entry of the returned array describes one pair, in the order
+   * of `types` and then `readers`, with the `error` raised for it if any.
    *
-   * @returns {Promise<Record>}
+   * With `rollback` set, if any pair fails then every pair this call shared, or
+   * tried to, is revoked again and marked `rolledBack`. Pairs that were already
+   * shared beforehand are left as they were.
+   *
+   * Options:
+   *
+   * - `concurrency`: Maximum number of lookups or pairs to process at once (default 4)
+   * - `rollback`: Whether to revoke the pairs shared if any pair fails (default false)
+   * - `onProgress`: Callback receiving the number of pairs completed and the total
+   *
+   * @param {object} targets `types` to share and the client IDs or email addresses of `readers`
+   * @param {object} options Optional batch settings
+   *
+   * @returns {Promise<array>} `{ type, reader, readerId, error, rolledBack }` for each pair
    */
-  async read(recordId, fields = null) {
-    let path = this.config.apiUrl + '/v1/storage/records/' + recordId
+  async shareMany(
+    { types, readers },
+    { concurrency = DEFAULT_CONCURRENCY, rollback = false, onProgress = null } = {}
+  ) {
+    let clientId = this.config.clientId
+    let before = rollback ? await sharedPairs(this) : null
+    let pairs = await sharingPairs(this, types, readers, concurrency)
+    let keys = await mapConcurrent(types, concurrency, type =>
+      getOrCreateAccessKey(this, clientId, clientId, type)
+    )
 
-    if (fields !== null) {
-      let mapped = []
-      for (let field of fields) {
-        mapped.push('field=' + field)
-      }
+    let outcomes = await mapConcurrent(
+      pairs,
+      concurrency,
+      async pair => {
+        let ak = keys[types.indexOf(pair.type)]
+        if (pair.error !== null || ak.error !== null) {
+          throw pair.error || ak.error
+        }
 
-      path += '?' + mapped.join('&')
+        return pair.info.clientId === clientId
+          ? false
+          : sharePair(this, pair.type, pair.info, ak.value)
+      },
+      onProgress
+    )
+    let results = bulkResults(pairs, outcomes)
+    let touched = result => result.readerId !== null && result.readerId !== clientId
+
+    if (rollback && results.some(result => result.error !== null)) {
+      await rollBack(
+        results,
+        concurrency,
+        index => touched(results[index]) && !wasShared(before, results[index]),
+        index => revokePair(this, results[index].type, results[index].readerId)
+      )
     }
 
-    let request = await oauthFetch(this, path, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    })
-    let response = await checkStatus(request)
-    let json = await response.json()
-    let record = await Record.decode(json)
-    return decryptRecord(this, record)
+    return results
   }
 
   /**
-   * Create a new record entry with E3DB.
+   * Revoke many readers' access to records of many types, changing the policy
+   * for at most `concurrency` reader and type pairs at once.
    *
-   * @param {string} type  The content type with which to associate the record.
-   * @param {object} data  A hashmap of the data to encrypt and store
-   * @param {object} plain Optional hashmap of data to store with the record's meta in plaintext
+   * Each reader's client information is looked up once before anything is
+   * revoked, and results are reported for each pair as with `shareMany`.
    *
-   * @return {Promise<Record>}
+   * With `rollback` set, if any pair fails then every pair this call revoked, or
+   * tried to, that had been shared beforehand is shared again and marked `rolledBack`.
+   *
+   * Options:
+   *
+   * - `concurrency`: Maximum number of lookups or pairs to process at once (default 4)
+   * - `rollback`: Whether to re-share the pairs revoked if any pair fails (default false)
+   * - `onProgress`: Callback receiving the number of pairs completed and the total
+   *
+   * @param {object} targets `types` to revoke and the client IDs or email addresses of `readers`
+   * @param {object} options Optional batch settings
+   *
+   * @returns {Promise<array>} `{ type, reader, readerId, error, rolledBack }` for each pair
    */
-  async write(type, data, plain = {}) {
-    // Build the record
-    if (data instanceof Object) {
-      data = new RecordData(data)
-    }
-
-    let meta = new Meta(this.config.clientId, this.config.clientId, type, plain)
-    let info = new RecordInfo(meta, data)
-
-    let signature = this.config.version > 1 ? await this.sign(info) : null
-    let record = new Record(meta, data, signature)
+  async revokeMany(
+    { types, readers },
+    { concurrency = DEFAULT_CONCURRENCY, rollback = false, onProgress = null } = {}
+  ) {
+    let clientId = this.config.clientId
+    let before = rollback ? await sharedPairs(this) : null
+    let pairs = await sharingPairs(this, types, readers, concurrency)
+
+    let outcomes = await mapConcurrent(
+      pairs,
+      concurrency,
+      async pair => {
+        if (pair.error !== null) {
+          throw pair.error
+        }
 
-    let encrypted = await encryptRecord(this, record)
+        return pair.info.clientId === clientId
+          ? false
+          : revokePair(this, pair.type, pair.info.clientId)
+      },
+      onProgress
+    )
+    let results = bulkResults(pairs, outcomes)
+    let touched = result => result.readerId !== null && result.readerId !== clientId
+
+    if (rollback && results.some(result => result.error !== null)) {
+      await rollBack(
+        results,
+        concurrency,
+        index => touched(results[index]) && wasShared(before, results[index]),
+        async index => {
+          let { type } = results[index]
+          let ak = await getAccessKey(this, clientId, clientId, clientId, type)
+          return sharePair(this, type, pairs[index].info, ak)
+        }
+      )
+    }
 
-    return this.writeRaw(encrypted)
+    return results
   }
 
   /**
-   * Write a previously stored encrypted/signed record directly to E3DB.
+   * Grant another E3DB client access to a single record, without giving it the
+   * access key for the record's whole type.
    *
-   * @param {Record} record The fully-constructed record object, as returned by `encrypt()`
+   * The first time a record is shared this way, it is given a record-scoped
+   * access key, and the data key of each field is wrapped with that key and
+   * stored in the record's plain meta. Recording these wrapped keys updates the
+   * record, so a ConflictError is raised if it is modified concurrently. The
+   * reader is then issued the record-scoped key and allowed to read the record.
    *
-   * @return {Promise<Record>}
+   * The server only lets readers of a type fetch its records, so a reader not
+   * yet allowed to read the record's type is given a policy allowing it to,
+   * though not its access key. Such a reader can fetch every record of the
+   * type and see their plain meta, but can only decrypt those shared with it.
+   * Sharing the type with `share` later replaces that policy.
+   *
+   * @param {string} recordId ID of the record to share
+   * @param {string} readerId Client ID or email address of reader to grant access to
+   *
+   * @returns {Promise<bool>}
    */
-  async writeRaw(record) {
-    if (!(record instanceof Record)) {
-      throw new Error('Can only write encrypted/signed records directly to the server!')
+  async shareRecord(recordId, readerId) {
+    if (readerId === this.config.clientId) {
+      return true
+    }
+    if (EMAIL.test(readerId)) {
+      let clientInfo = await this.clientInfo(readerId)
+      return this.shareRecord(recordId, clientInfo.clientId)
     }
 
-    let request = await oauthFetch(this, this.config.apiUrl + '/v1/storage/records', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: record.stringify()
-    })
+    let record = await this.read(recordId)
+    let { writerId, userId } = record.meta
+    if (writerId !== this.config.clientId) {
+      throw new Error('Only the writer of a record can share it')
+    }
 
-    let response = await checkStatus(request)
-    let json = await response.json()
-    let written = await Record.decode(json)
-    return decryptRecord(this, written)
+    let type = RECORD_KEY_TYPE_PREFIX + recordId
+    let rak = await getOrCreateAccessKey(this, writerId, userId, type)
+
+    if (!(record.meta.plain || {}).hasOwnProperty(RECORD_KEYS_FIELD)) {
+      // The data keys are wrapped with the record-scoped key when it is encrypted
+      record.meta.plain = Object.assign({}, record.meta.plain, {
+        [RECORD_KEYS_FIELD]: '{}'
+      })
+      await this.update(record)
+    }
+
+    await putAccessKey(this, writerId, userId, readerId, type, rak)
+    await putPolicy(this, writerId, userId, readerId, type, new Policy().allow('read'))
+
+    let current = await this.getPolicy(writerId, userId, readerId, record.meta.type)
+    if (current === null || !current.allows('read')) {
+      await putPolicy(
+        this,
+        writerId,
+        userId,
+        readerId,
+        record.meta.type,
+        recordReaderPolicy()
+      )
+    }
+
+    return true
   }
 
   /**
-   * Encrypt a plaintext record using the AK wrapped and encrypted for the current
-   * client. The key will be cached for future use.
+   * Revoke another E3DB client's access to a single record shared with `shareRecord`.
    *
-   * @param {string}            type  The content type with which to associate the record.
-   * @param {RecordData|object} data  A hashmap of the data to encrypt and store
-   * @param {object}            eak   Encrypted access key instance
-   * @param {object}            plain Optional hashmap of data to store with the record's meta in plaintext
+   * The record is then given a new record-scoped access key and updated, so the
+   * revoked reader cannot use a copy of the old key to read later versions. The
+   * readers the record is still shared with are issued the new key, and if none
+   * remain the wrapped data keys are dropped from the record's plain meta. A
+   * reader given access to the record's type by `shareRecord` loses it too,
+   * unless another record of the type is still shared with it. As
+   * with `shareRecord`, a ConflictError is raised if the record is modified
+   * concurrently.
    *
-   * @returns {Promise<Record>}
+   * @param {string} recordId ID of the record to stop sharing
+   * @param {string} readerId Client ID or email address of reader to revoke access from
+   *
+   * @returns {Promise<bool>}
    */
-  async encrypt(type, data, eak, plain = {}) {
-    let ak = await this._getCachedAk(
-      this.config.clientId,
-      this.config.clientId,
-      this.config.clientId,
-      type,
-      eak
-    )
+  async revokeRecord(recordId, readerId) {
+    if (readerId === this.config.clientId) {
+      return true
+    }
+    if (EMAIL.test(readerId)) {
+      let clientInfo = await this.clientInfo(readerId)
+      return this.revokeRecord(recordId, clientInfo.clientId)
+    }
 
-    if (data instanceof Object) {
-      data = new RecordData(data)
+    let record = await this.read(recordId)
+    let { writerId, userId } = record.meta
+    if (writerId !== this.config.clientId) {
+      throw new Error('Only the writer of a record can revoke access to it')
     }
 
-    // Build the record
-    let meta = new Meta(this.config.clientId, this.config.clientId, type, plain)
-    let recordInfo = new RecordInfo(meta, data)
-    let signature = this.config.version > 1 ? await this.sign(recordInfo) : null
-    let record = new Record(meta, data, signature)
+    let type = RECORD_KEY_TYPE_PREFIX + recordId
+    await putPolicy(this, writerId, userId, readerId, type, new Policy().deny('read'))
+    await revokeAccessKey(this, writerId, userId, readerId, type)
+    await revokeRecordReader(this, record.meta, readerId)
 
-    return Crypto.encryptRecord(record, ak)
-  }
+    if (!(record.meta.plain || {}).hasOwnProperty(RECORD_KEYS_FIELD)) {
+      return true
+    }
 
-  /**
-   * Sign a document and return the signature
-   *
-   * @param {Signable} document Serializable object to be signed.
-   *
-   * @returns {Promise<string>}
-   */
-  async sign(document) {
-    if (this.config.version === 1) {
-      throw new Error('Cannot sign documents without a signing key!')
+    // The revoked reader may have kept the record key, so later versions of the
+    // record must be wrapped with a new one, or with none if nobody is left.
+    let readers = []
+    for (let policy of await this.outgoingSharing()) {
+      if (policy.recordType === type && policy.readerId !== readerId) {
+        readers.push(policy.readerId)
+      }
     }
 
-    return Crypto.signDocument(document, this.config.privateSignKey)
+    let rak = null
+    if (readers.length === 0) {
+      await deleteAccessKey(this, writerId, userId, writerId, type)
+      record.meta.plain = Object.assign({}, record.meta.plain)
+      delete record.meta.plain[RECORD_KEYS_FIELD]
+    } else {
+      rak = await putAccessKey(
+        this,
+        writerId,
+        userId,
+        writerId,
+        type,
+        await Crypto.randomKey()
+      )
+    }
+    await this.update(record)
+
+    for (let reader of readers) {
+      await putAccessKey(this, writerId, userId, reader, type, rak)
+    }
+
+    return true
   }
 
   /**
-   * Decrypt an encrypted record using the AK wrapped and encrypted for the current
-   * client. The key will be cached for future use.
+   * Replace the access key protecting records of a type, for example after
+   * revoking a reader who may have kept a copy of the old key.
    *
-   * @param {Record}  record Record instance with encrypted data for decryption
-   * @param {EAKInfo} eak    Encrypted access key instance
+   * A fresh access key is generated and every existing record of the type is
+   * re-encrypted with it through a version-checked update. Records modified
+   * concurrently are re-read and retried; those that keep conflicting are listed
+   * in the `conflicts` of the returned state rather than failing the whole call.
+   * The stream keys of files written with `writeFile()` are re-wrapped with the
+   * new key, although the file ciphertext itself is unchanged. Finally, every
+   * reader still listed in `outgoingSharing()` for the type, and every
+   * authorizer listed in `outgoingAuthorizers()`, is issued the new key.
    *
-   * @returns {Promise<Record>}
+   * The `onProgress` callback receives the re-keying state after every step.
+   * It holds both the old and new access keys, so persist it securely and pass
+   * it back in to resume an interrupted attempt.
+   *
+   * @param {string}   type         Type of records to re-key
+   * @param {object}   [state]      Re-keying state from an interrupted attempt
+   * @param {function} [onProgress] Callback receiving the re-keying state after each step
+   *
+   * @returns {Promise<object>} Final state, listing the `records`, `conflicts` and `readers` processed
    */
-  async decrypt(record, eak) {
-    if (eak.signerSigningKey === null) {
-      throw new Error('EAKInfo has no signing key!')
+  async rekeyType(type, state = null, onProgress = null) {
+    let report = async () => (onProgress === null ? null : onProgress(state))
+    let clientId = this.config.clientId
+
+    if (state === null) {
+      let previous = await getAccessKey(this, clientId, clientId, clientId, type)
+      if (previous === null) {
+        throw new MissingAccessKeyError('No access key available.', {
+          writerId: clientId,
+          userId: clientId,
+          readerId: clientId,
+          type
+        })
+      }
+
+      state = {
+        type: type,
+        previousAccessKey: await Crypto.b64encode(previous),
+        accessKey: await Crypto.b64encode(await Crypto.randomKey()),
+        records: [],
+        conflicts: [],
+        readers: []
+      }
+      await report()
     }
 
-    let ak = await this._getCachedAk(
-      record.meta.writerId,
-      record.meta.userId,
-      this.config.clientId,
-      record.meta.type,
-      eak
-    )
+    let ak = await Crypto.b64decode(state.accessKey)
+    let keys = [ak, await Crypto.b64decode(state.previousAccessKey)]
 
-    let decrypted = await Crypto.decryptRecord(record, ak)
-    let info = new RecordInfo(decrypted.meta, decrypted.data)
-    let signed = new SignedDocument(info, decrypted.signature)
+    // New writes use the new key from here on
+    await putAccessKey(this, clientId, clientId, clientId, type, ak)
 
-    let verify = await this.verify(signed, eak.signerSigningKey.ed25519)
-    if (!verify) {
-      throw new Error('Document failed verification')
+    let records = this.query(false, clientId, null, type)[asyncIterator]()
+    for (let step = await records.next(); !step.done; step = await records.next()) {
+      let recordId = step.value.meta.recordId
+      if (state.records.indexOf(recordId) !== -1) {
+        continue
+      }
+
+      let rekeyed = false
+      for (let attempt = 0; attempt < REKEY_ATTEMPTS && !rekeyed; attempt++) {
+        let opened = await openRecord(await fetchRecord(this, recordId), keys)
+        if (opened === null) {
+          throw new MissingAccessKeyError('Record is not encrypted with a known key', {
+            recordId,
+            writerId: clientId,
+            userId: clientId,
+            type
+          })
+        }
+
+        try {
+          // Records opened with the new key were re-encrypted by an earlier attempt
+          if (opened.index !== 0) {
+            await rewrapFileKey(opened.record, keys[opened.index], ak)
+            await this.update(opened.record)
+          }
+          rekeyed = true
+        } catch (err) {
+          if (!(err instanceof ConflictError)) {
+            throw err
+          }
+        }
+      }
+
+      state.conflicts = state.conflicts.filter(id => id !== recordId)
+      state[rekeyed ? 'records' : 'conflicts'].push(recordId)
+      await report()
     }
 
-    return decrypted
+    for (let { readerId, type: issuedType } of await issuedAccessKeys(this)) {
+      if (issuedType !== type || state.readers.indexOf(readerId) !== -1) {
+        continue
+      }
+
+      await putAccessKey(this, clientId, clientId, readerId, type, ak)
+      state.readers.push(readerId)
+      await report()
+    }
+
+    return state
   }
 
   /**
-   * Verify the signature attached to a specific document.
+   * Apply a sharing policy to a reader for records of a type, replacing any
+   * policy previously set for them.
    *
-   * @param {SignedDocument} signed        Document with an attached signature
-   * @param {string}         publicSignKey Key to use during signature verification
+   * Unlike `share`, this only changes the policy. Allowing reads this way does
+   * not give the reader the access key it needs to decrypt the records.
+   *
+   * @param {string}        writerId Writer of the records
+   * @param {string}        userId   Subject of the records
+   * @param {string}        readerId Client the policy applies to
+   * @param {string}        type     Type of the records
+   * @param {Policy|object} policy   Policy, or its JSON representation
    *
    * @returns {Promise<bool>}
    */
-  async verify(signed, publicSignKey) {
-    let verified = await Crypto.verifyDocumentSignature(
-      signed.document,
-      signed.signature,
-      publicSignKey
-    )
+  async setPolicy(writerId, userId, readerId, type, policy) {
+    if (!(policy instanceof Policy)) {
+      policy = await Policy.decode(policy)
+    }
 
-    return Promise.resolve(verified)
+    return putPolicy(this, writerId, userId, readerId, type, policy)
   }
 
   /**
-   * Update a record, with optimistic concurrent locking, that already exists in the E3DB system.
+   * Retrieve the sharing policy applied to a reader for records of a type.
    *
-   * @param {Record} record Record to be updated.
+   * @param {string} writerId Writer of the records
+   * @param {string} userId   Subject of the records
+   * @param {string} readerId Client the policy applies to
+   * @param {string} type     Type of the records
    *
-   * @returns {Promise<Record>} Updated record
+   * @returns {Promise<Policy|null>} The policy, or NULL if none has been set
    */
-  async update(record) {
-    let recordId = record.meta.recordId
-    let version = record.meta.version
+  async getPolicy(writerId, userId, readerId, type) {
+    let request = await oauthFetch(
+      this,
+      this.config.apiUrl +
+        '/v1/storage/policy/' +
+        writerId +
+        '/' +
+        userId +
+        '/' +
+        readerId +
+        '/' +
+        type,
+      {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      }
+    )
 
-    // Update record signature
-    let recordInfo = new RecordInfo(record.meta, record.data)
-    record.signature = this.config.version > 1 ? await this.sign(recordInfo) : null
+    if (request.status === 404) {
+      return null
+    }
 
-    let encrypted = await encryptRecord(this, record)
+    let response = await checkStatus(request, { writerId, userId, readerId, type })
+    let json = await response.json()
 
-    return oauthFetch(
+    return Policy.decode(json)
+  }
+
+  /**
+   * Get a list of all outgoing sharing policy relationships
+   *
+   * @returns {Promise<array>}
+   */
+  async outgoingSharing() {
+    let request = await oauthFetch(
       this,
-      this.config.apiUrl + '/v1/storage/records/safe/' + recordId + '/' + version,
+      this.config.apiUrl + '/v1/storage/policy/outgoing',
       {
-        method: 'PUT',
+        method: 'GET',
         headers: {
           'Content-Type': 'application/json'
-        },
-        body: encrypted.stringify()
-      }
-    )
-      .then(checkStatus)
-      .then(response => response.json())
-      .then(Record.decode)
-      .then(record => decryptRecord(this, record))
+        }
+      }
+    )
+    let response = await checkStatus(request)
+    let json = await response.json()
+
+    return Promise.all(json.map(OutgoingSharingPolicy.decode))
   }
 
   /**
-   * Deletes a record from the E3DB system
-   *
-   * @param {string} recordId  ID of the record to remove
-   * @param {string} [version] Optional version ID to remove safely
+   * Get a list of all incoming sharing policy relationships
    *
-   * @returns {Promise<bool>}
+   * @returns {Promise<array>}
    */
-  async delete(recordId, version = null) {
-    let url = this.config.apiUrl + '/v1/storage/records/' + recordId
-    if (version !== null) {
-      url = this.config.apiUrl + '/v1/storage/records/safe/' + recordId + '/' + version
-    }
-
-    let response = await oauthFetch(this, url, {
-      method: 'DELETE',
-      headers: {
-        'Content-Type': 'application/json'
+  async incomingSharing() {
+    let request = await oauthFetch(
+      this,
+      this.config.apiUrl + '/v1/storage/policy/incoming',
+      {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json'
+        }
       }
-    })
+    )
+    let response = await checkStatus(request)
+    let json = await response.json()
 
-    switch (response.status) {
-      case 204:
-      case 403:
-        return Promise.resolve(true)
-      case 409:
-        throw new Error('Conflict')
-      default:
-        throw new Error('Error while deleting record data!')
-    }
+    return Promise.all(json.map(IncomingSharingPolicy.decode))
   }
 
   /**
-   * Back up the client's configuration to E3DB in a serialized format that can be read
-   * by the Admin Console. The stored configuration will be shared with the specified client,
-   * and the account service notified that the sharing has taken place.
+   * Allow another client to share and revoke records of a type on this client's
+   * behalf, without holding this client's credentials. The authorizer is given
+   * the type's access key so that it can re-encrypt it for readers.
    *
-   * @param {string} clientId          Unique ID of the client to which we're backing up
-   * @param {string} registrationToken Original registration token used to create the client
+   * @param {string} type         Type of records to delegate authority over
+   * @param {string} authorizerId Client ID or email address of the authorizer
    *
    * @returns {Promise<bool>}
    */
-  async backup(clientId, registrationToken) {
-    /* eslint-disable camelcase */
-    let credentials = {
-      version: '"' + this.config.version.toString() + '"',
-      client_id: '"' + this.config.clientId + '"',
-      api_key_id: '"' + this.config.apiKeyId + '"',
-      api_secret: '"' + this.config.apiSecret + '"',
-      client_email: '""',
-      public_key: '"' + this.config.publicKey + '"',
-      private_key: '"' + this.config.privateKey + '"'
-    }
-
-    if (this.config.version === 2) {
-      credentials.public_sign_key = '"' + this.config.publicSignKey + '"'
-      credentials.private_sign_key = '"' + this.config.privateSignKey + '"'
+  async addAuthorizer(type, authorizerId) {
+    if (EMAIL.test(authorizerId)) {
+      let clientInfo = await this.clientInfo(authorizerId)
+      return this.addAuthorizer(type, clientInfo.clientId)
     }
 
-    credentials.api_url = '"' + this.config.apiUrl + '"'
-    /* eslint-enable */
-
-    await this.write('tozny.key_backup', credentials, {
-      client: this.config.clientId
-    })
-
-    await this.share('tozny.key_backup', clientId)
+    let clientId = this.config.clientId
+    let ak = await getOrCreateAccessKey(this, clientId, clientId, type)
 
-    await fetch(
-      this.config.apiUrl +
-        '/v1/account/backup/' +
-        registrationToken +
-        '/' +
-        this.config.clientId,
-      {
-        method: 'POST'
-      }
+    await putAccessKey(this, clientId, clientId, authorizerId, type, ak)
+    await putPolicy(
+      this,
+      clientId,
+      clientId,
+      authorizerId,
+      type,
+      new Policy().allow('authorizer')
     )
 
-    return Promise.resolve(true)
+    return true
   }
 
   /**
-   * Query E3DB records according to a set of selection criteria.
-   *
-   * The default behavior is to return all records written by the
-   * current authenticated client.
-   *
-   * To restrict the results to a particular type, pass a type or
-   * list of types as the `type` argument.
+   * Withdraw the authority granted to another client by `addAuthorizer`. Shares
+   * the authorizer has already made are left in place.
    *
-   * To restrict the results to a set of clients, pass a single or
-   * list of client IDs as the `writer` argument. To list records
-   * written by any client that has shared with the current client,
-   * pass the special string 'all' as the `writer` argument.
+   * The access key is not rotated, so an authorizer that kept a copy can still
+   * decrypt records of the type. Call `rekeyType` afterwards to replace it.
    *
-   * @param {bool}         data     Flag to include data in records
-   * @param {string|array} writer   Select records written by a single writer, a list of writers, or 'all'
-   * @param {string|array} record   Select a single record or list of records
-   * @param {string|array} type     Select records of a single type or a list of types
-   * @param {array}        plain    Associative array of plaintext meta to use as a filter
-   * @param {number}       pageSize Number of records to fetch per request
+   * @param {string} type         Type of records to withdraw authority over
+   * @param {string} authorizerId Client ID or email address of the authorizer
    *
-   * @returns {QueryResult}
+   * @returns {Promise<bool>}
    */
-  query(
-    data = true,
-    writer = null,
-    record = null,
-    type = null,
-    plain = null,
-    pageSize = DEFAULT_QUERY_COUNT
-  ) {
-    let allWriters = false
-    if (writer === 'all') {
-      allWriters = true
-      writer = []
+  async removeAuthorizer(type, authorizerId) {
+    if (EMAIL.test(authorizerId)) {
+      let clientInfo = await this.clientInfo(authorizerId)
+      return this.removeAuthorizer(type, clientInfo.clientId)
     }
 
-    let query = new Query(
-      0,
-      data,
-      writer,
-      record,
+    let clientId = this.config.clientId
+    await putPolicy(
+      this,
+      clientId,
+      clientId,
+      authorizerId,
       type,
-      plain,
-      null,
-      pageSize,
-      allWriters
+      new Policy().deny('authorizer')
     )
+    await revokeAccessKey(this, clientId, clientId, authorizerId, type)
 
-    return new QueryResult(this, query)
-  }
-
-  /**
-   * Internal-only method to execute a query against the server and parse the response.
-   *
-   * @param {Query} query Query request to execute against the server
-   *
-   * @returns {QueryResult}
-   */
-  async _query(query) {
-    let response = await oauthFetch(this, this.config.apiUrl + '/v1/storage/search', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: query.stringify()
-    })
-    await checkStatus(response)
-    return response.json()
+    return true
   }
 
   /**
-   * Grant another E3DB client access to records of a particular type.
+   * Grant a reader access to another writer's records of a type, as an
+   * authorizer that writer added with `addAuthorizer`.
    *
+   * @param {string} writerId Writer whose records to share
    * @param {string} type     Type of records to share
    * @param {string} readerId Client ID or email address of reader to grant access to
    *
    * @returns {Promise<bool>}
    */
-  async share(type, readerId) {
-    if (readerId === this.config.clientId) {
-      return Promise.resolve(true)
-    }
+  async shareOnBehalfOf(writerId, type, readerId) {
     if (EMAIL.test(readerId)) {
       let clientInfo = await this.clientInfo(readerId)
-      return this.share(type, clientInfo.clientId)
+      return this.shareOnBehalfOf(writerId, type, clientInfo.clientId)
     }
 
-    let clientId = this.config.clientId
-    let ak = await getAccessKey(this, clientId, clientId, clientId, type)
-
+    let ak = await getAccessKey(this, writerId, writerId, this.config.clientId, type)
     if (ak === null) {
-      ak = await Crypto.randomKey()
-      await putAccessKey(
-        this,
-        this.config.clientId,
-        this.config.clientId,
-        this.config.clientId,
-        type,
-        ak
+      throw new MissingAccessKeyError(
+        'No access key available to share on behalf of writer',
+        {
+          writerId,
+          userId: writerId,
+          readerId,
+          type
+        }
       )
     }
 
-    await putAccessKey(this, clientId, clientId, readerId, type, ak)
-    let policy = { allow: [{ read: {} }] }
-
-    let request = await oauthFetch(
-      this,
-      this.config.apiUrl +
-        '/v1/storage/policy/' +
-        clientId +
-        '/' +
-        clientId +
-        '/' +
-        readerId +
-        '/' +
-        type,
-      {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(policy)
-      }
-    )
-    await checkStatus(request)
+    await putAccessKey(this, writerId, writerId, readerId, type, ak)
+    await putPolicy(this, writerId, writerId, readerId, type, new Policy().allow('read'))
 
-    return Promise.resolve(true)
+    return true
   }
 
   /**
-   * Revoke another E3DB client's access to records of a particular type.
+   * Revoke a reader's access to another writer's records of a type, as an
+   * authorizer that writer added with `addAuthorizer`.
    *
-   * @param {string} type     Type of records to share
-   * @param {string} readerId Client ID or email address of reader to grant access from
+   * @param {string} writerId Writer whose records to stop sharing
+   * @param {string} type     Type of records to stop sharing
+   * @param {string} readerId Client ID or email address of reader to revoke access from
    *
    * @returns {Promise<bool>}
    */
-  async revoke(type, readerId) {
-    if (readerId === this.config.clientId) {
-      return Promise.resolve(true)
-    }
+  async revokeOnBehalfOf(writerId, type, readerId) {
     if (EMAIL.test(readerId)) {
       let clientInfo = await this.clientInfo(readerId)
-      return this.revoke(type, clientInfo.clientId)
+      return this.revokeOnBehalfOf(writerId, type, clientInfo.clientId)
     }
 
-    let clientId = this.config.clientId
-    let policy = { deny: [{ read: {} }] }
+    await putPolicy(this, writerId, writerId, readerId, type, new Policy().deny('read'))
+    await revokeAccessKey(this, writerId, writerId, readerId, type)
+
+    return true
+  }
+
+  /**
+   * Get a list of the clients this client has authorized to share on its behalf.
+   *
+   * @returns {Promise<array>}
+   */
+  async outgoingAuthorizers() {
     let request = await oauthFetch(
       this,
-      this.config.apiUrl +
-        '/v1/storage/policy/' +
-        clientId +
-        '/' +
-        clientId +
-        '/' +
-        readerId +
-        '/' +
-        type,
+      this.config.apiUrl + '/v1/storage/policy/proxies',
       {
-        method: 'PUT',
+        method: 'GET',
         headers: {
           'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(policy)
+        }
       }
     )
-    await checkStatus(request)
-
-    // Delete any existing access keys
-    await deleteAccessKey(this, clientId, clientId, readerId, type)
+    let response = await checkStatus(request)
+    let json = await response.json()
 
-    return Promise.resolve(true)
+    return Promise.all(json.map(AuthorizerPolicy.decode))
   }
 
   /**
-   * Get a list of all outgoing sharing policy relationships
+   * Get a list of the writers that have authorized this client to share on their behalf.
    *
    * @returns {Promise<array>}
    */
-  async outgoingSharing() {
+  async incomingAuthorizers() {
     let request = await oauthFetch(
       this,
-      this.config.apiUrl + '/v1/storage/policy/outgoing',
+      this.config.apiUrl + '/v1/storage/policy/granted',
       {
         method: 'GET',
         headers: {
@@ -991,40 +3115,188 @@ export default class Client {
     let response = await checkStatus(request)
     let json = await response.json()
 
-    return Promise.all(json.map(OutgoingSharingPolicy.decode))
+    return Promise.all(json.map(AuthorizerPolicy.decode))
   }
 
   /**
-   * Get a list of all incoming sharing policy relationships
+   * Replace the client's Curve25519 encryption keypair, for example when the
+   * private key is suspected to be compromised.
    *
-   * @returns {Promise<array>}
+   * A new keypair is generated and its public key registered with the server.
+   * Every access key the client can read - for its own record types, those
+   * shared with it, and those of writers that added it as an authorizer - is
+   * then re-encrypted for the new keypair, and access keys the client has issued
+   * to other readers and authorizers are re-issued under it. The
+   * client's configuration is replaced with one holding the new keypair, which
+   * is returned so that it can be saved.
+   *
+   * Rotation touches many access keys and may be interrupted. The `onProgress`
+   * callback receives the rotation state after every step; persist it securely
+   * (it holds the new private key) and pass it back in to resume.
+   *
+   * @param {object}   [state]      Rotation state from an interrupted attempt
+   * @param {function} [onProgress] Callback receiving the rotation state after each step
+   *
+   * @returns {Promise<Config>} Configuration holding the new keypair
    */
-  async incomingSharing() {
+  async rotateEncryptionKey(state = null, onProgress = null) {
+    let report = async () => (onProgress === null ? null : onProgress(state))
+    let clientId = this.config.clientId
+    let oldConfig = this.config
+
+    if (state === null) {
+      let keys = await Client.generateKeypair()
+      state = {
+        publicKey: keys.publicKey,
+        privateKey: keys.privateKey,
+        registered: false,
+        completed: []
+      }
+      await report()
+    }
+
+    // Gather every access key readable by this client, whether written by this
+    // client or shared with it by others.
+    let targets = {}
+    let addTarget = (writerId, userId, type) => {
+      let id = JSON.stringify([writerId, userId, clientId, type])
+      targets[id] = { writerId, userId, type }
+    }
+
+    let records = this.query(false, clientId)[asyncIterator]()
+    for (let step = await records.next(); !step.done; step = await records.next()) {
+      addTarget(step.value.meta.writerId, step.value.meta.userId, step.value.meta.type)
+    }
+    for (let policy of await this.incomingSharing()) {
+      addTarget(policy.writerId, policy.writerId, policy.recordType)
+    }
+    for (let policy of await this.incomingAuthorizers()) {
+      addTarget(policy.writerId, policy.userId, policy.recordType)
+    }
+
+    let issued = await issuedAccessKeys(this)
+    for (let { type } of issued) {
+      addTarget(clientId, clientId, type)
+    }
+
+    // Decrypt everything before registering the new key, since the server may
+    // report the new public key as the authorizer of existing EAKs afterwards.
+    let candidates = [
+      { privateKey: state.privateKey, publicKey: null },
+      { privateKey: oldConfig.privateKey, publicKey: null },
+      { privateKey: oldConfig.privateKey, publicKey: oldConfig.publicKey }
+    ]
+    let aks = {}
+    for (let id of Object.keys(targets)) {
+      let target = targets[id]
+      let eak = await getEncryptedAccessKey(
+        this,
+        target.writerId,
+        target.userId,
+        clientId,
+        target.type
+      )
+      let opened = eak === null ? null : await openEak(eak, candidates)
+      if (opened === null) {
+        continue
+      }
+
+      aks[id] = opened.ak
+      if (opened.index === 0 && state.completed.indexOf(id) === -1) {
+        // Already re-encrypted by an earlier, interrupted attempt
+        state.completed.push(id)
+      }
+    }
+
+    if (!state.registered) {
+      await this._registerPublicKey(state.publicKey)
+      state.registered = true
+      await report()
+    }
+
+    for (let id of Object.keys(aks)) {
+      if (state.completed.indexOf(id) !== -1) {
+        continue
+      }
+
+      let { writerId, userId, type } = targets[id]
+      let eak = await Crypto.encryptAk(state.privateKey, aks[id], state.publicKey)
+      await storeEncryptedAccessKey(this, writerId, userId, clientId, type, eak)
+
+      state.completed.push(id)
+      await report()
+    }
+
+    // Re-issue the access keys shared with readers and authorizers under the new keypair
+    for (let { readerId, type } of issued) {
+      let id = JSON.stringify([clientId, clientId, readerId, type])
+      let ownId = JSON.stringify([clientId, clientId, clientId, type])
+      let ak = aks[ownId]
+      if (state.completed.indexOf(id) !== -1 || ak === undefined) {
+        continue
+      }
+
+      let reader = await this.getClient(readerId)
+      let eak = await Crypto.encryptAk(state.privateKey, ak, reader.publicKey.curve25519)
+      await storeEncryptedAccessKey(this, clientId, clientId, readerId, type, eak)
+
+      state.completed.push(id)
+      await report()
+    }
+
+    this.config = new Config(
+      oldConfig.clientId,
+      oldConfig.apiKeyId,
+      oldConfig.apiSecret,
+      state.publicKey,
+      state.privateKey,
+      oldConfig.apiUrl,
+      oldConfig.publicSignKey || '',
+      oldConfig.privateSignKey || ''
+    )
+
+    return this.config
+  }
+
+  /**
+   * Register a new Curve25519 public key for the current client.
+   *
+   * @param {string} publicKey Base64URL-encoded Curve25519 public key
+   *
+   * @returns {Promise<bool>}
+   */
+  async _registerPublicKey(publicKey) {
+    let clientId = this.config.clientId
+    /* eslint-disable camelcase */
     let request = await oauthFetch(
       this,
-      this.config.apiUrl + '/v1/storage/policy/incoming',
+      this.config.apiUrl + '/v1/storage/clients/' + clientId + '/keys',
       {
-        method: 'GET',
+        method: 'PUT',
         headers: {
           'Content-Type': 'application/json'
-        }
-      }
+        },
+        body: JSON.stringify({ public_key: new PublicKey(publicKey) })
+      },
+      true
     )
-    let response = await checkStatus(request)
-    let json = await response.json()
+    /* eslint-enable */
+    await checkStatus(request, { clientId })
+    await this.clientCache.delete(clientId)
 
-    return Promise.all(json.map(IncomingSharingPolicy.decode))
+    return true
   }
 
   /**
    * Register a new client with a specific account.
    *
-   * @param {string}  registrationToken Registration token as presented by the admin console
-   * @param {string}  clientName        Distinguishable name to be used for the token in the console
-   * @param {KeyPair} cryptoKeys        Curve25519 keypair used for encryption
-   * @param {KeyPair} signingKeys       Ed25519 keypair used for signing
-   * @param {bool}    [backup]          Optional flag to automatically back up the newly-created credentials to the account service
-   * @param {string}  [apiUrl]          Base URI for the e3DB API
+   * @param {string}    registrationToken Registration token as presented by the admin console
+   * @param {string}    clientName        Distinguishable name to be used for the token in the console
+   * @param {KeyPair}   cryptoKeys        Curve25519 keypair used for encryption
+   * @param {KeyPair}   signingKeys       Ed25519 keypair used for signing
+   * @param {bool}      [backup]          Optional flag to automatically back up the newly-created credentials to the account service
+   * @param {string}    [apiUrl]          Base URI for the e3DB API
+   * @param {Transport} [transport]       Optional HTTP transport through which to send requests
    *
    * @returns {ClientDetails}
    */
@@ -1034,7 +3306,8 @@ export default class Client {
     cryptoKeys,
     signingKeys,
     backup = false,
-    apiUrl = DEFAULT_API_URL
+    apiUrl = DEFAULT_API_URL,
+    transport = null
   ) {
     /* eslint-disable camelcase */
     let payload = {
@@ -1048,14 +3321,19 @@ export default class Client {
     /* eslint-enable */
 
     let backupClientId = false
+    if (transport === null) {
+      transport = new Transport()
+    }
 
-    let request = await fetch(apiUrl + '/v1/account/e3db/clients/register', {
+    let url = apiUrl + '/v1/account/e3db/clients/register'
+    let request = await transport.request(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify(payload)
     })
+    requests.set(request, { method: 'POST', url: url })
     let response = await checkStatus(request)
     if (response.headers.has('X-Backup-Client')) {
       backupClientId = response.headers.get('X-Backup-Client')
@@ -1079,7 +3357,7 @@ export default class Client {
         signingKeys.publicKey,
         signingKeys.privateKey
       )
-      let client = new Client(config)
+      let client = new Client(config, transport)
       await client.backup(backupClientId, registrationToken)
     }
 
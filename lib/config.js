@@ -23,11 +23,66 @@
 
 'use strict'
 
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
 const DEFAULT_API_URL = 'https://api.e3db.com'
 
+/**
+ * Read a file as UTF-8 text.
+ *
+ * @param {string} file
+ *
+ * @returns {Promise<string>}
+ */
+async function readFile(file) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(file, 'utf8', (err, data) => (err ? reject(err) : resolve(data)))
+  })
+}
+
+/**
+ * Create a directory readable only by its owner, along with any missing
+ * parents. Directories that already exist are left as they are.
+ *
+ * `fs.mkdir` only accepts a `recursive` option from Node 10.12, so each missing
+ * level is created in turn.
+ *
+ * @param {string} dir
+ *
+ * @returns {Promise}
+ */
+async function makeDirectory(dir) {
+  let exists = await new Promise((resolve, reject) => {
+    fs.stat(dir, err => {
+      if (err && err.code !== 'ENOENT') {
+        return reject(err)
+      }
+
+      return resolve(!err)
+    })
+  })
+  if (exists) {
+    return
+  }
+
+  let parent = path.dirname(dir)
+  if (parent !== dir) {
+    await makeDirectory(parent)
+  }
+
+  await new Promise((resolve, reject) => {
+    fs.mkdir(dir, 0o700, err => (err && err.code !== 'EEXIST' ? reject(err) : resolve()))
+  })
+}
+
 /**
  * Configuration and credentials for E3DB.
  *
+ * Configuration can be built directly, or loaded from environment variables or
+ * from the `e3db.json` files shared with the other Tozny SDKs.
+ *
  * @property {number} version          The version number of the configuration format (currently 1)
  * @property {string} clientId         The client's unique client identifier
  * @property {string} apiKeyId         The client's non-secret API key component
@@ -64,4 +119,208 @@ export default class Config {
     this.privateKey = privateKey
     this.apiUrl = apiUrl
   }
+
+  /**
+   * Ensure every field required by the configuration's version is present.
+   *
+   * @throws {Error} If the version is unsupported or a required field is missing
+   *
+   * @returns {Config}
+   */
+  validate() {
+    if (this.version !== 1 && this.version !== 2) {
+      throw new Error('Unsupported configuration version: ' + this.version)
+    }
+
+    let required = [
+      'clientId',
+      'apiKeyId',
+      'apiSecret',
+      'publicKey',
+      'privateKey',
+      'apiUrl'
+    ]
+    if (this.version === 2) {
+      required.push('publicSignKey', 'privateSignKey')
+    }
+
+    for (let field of required) {
+      if (typeof this[field] !== 'string' || this[field] === '') {
+        throw new Error('Configuration is missing required field: ' + field)
+      }
+    }
+
+    return this
+  }
+
+  /* eslint-disable camelcase */
+
+  /**
+   * Generate a JSON.stringify-friendly version of the configuration in the
+   * `e3db.json` format used by the other Tozny SDKs.
+   *
+   * @returns {object}
+   */
+  serializable() {
+    let toSerialize = {
+      version: this.version,
+      client_id: this.clientId,
+      api_key_id: this.apiKeyId,
+      api_secret: this.apiSecret,
+      public_key: this.publicKey,
+      private_key: this.privateKey,
+      api_url: this.apiUrl
+    }
+
+    if (this.version === 2) {
+      toSerialize.public_signing_key = this.publicSignKey
+      toSerialize.private_signing_key = this.privateSignKey
+    }
+
+    return toSerialize
+  }
+
+  /**
+   * Specify how an already unserialized `e3db.json` object should be marshaled
+   * into a validated Config.
+   *
+   * <code>
+   * config = Config::decode({
+   *   version:             2,
+   *   client_id:           '',
+   *   api_key_id:          '',
+   *   api_secret:          '',
+   *   public_key:          '',
+   *   private_key:         '',
+   *   api_url:             '',
+   *   public_signing_key:  '',
+   *   private_signing_key: ''
+   * })
+   * </code>
+   *
+   * @param {object} json
+   *
+   * @return {Promise<Config>}
+   */
+  static async decode(json) {
+    let config = new Config(
+      json.client_id,
+      json.api_key_id,
+      json.api_secret,
+      json.public_key,
+      json.private_key,
+      json.api_url || DEFAULT_API_URL,
+      json.public_signing_key || '',
+      json.private_signing_key || ''
+    )
+
+    let version = parseInt(json.version, 10)
+    if (json.version !== undefined && version !== config.version) {
+      throw new Error(
+        'Configuration version ' + json.version + ' does not match the keys provided'
+      )
+    }
+
+    return Promise.resolve(config.validate())
+  }
+
+  /* eslint-enable */
+
+  /**
+   * Build a configuration from environment variables, using the same names as
+   * the bundled examples: CLIENT_ID, API_KEY_ID, API_SECRET, PUBLIC_KEY,
+   * PRIVATE_KEY, API_URL, PUBLIC_SIGN_KEY and PRIVATE_SIGN_KEY.
+   *
+   * @param {string} [prefix] Optional prefix for every variable name, e.g. 'E3DB_'
+   * @param {object} [env]    Environment to read from, defaulting to `process.env`
+   *
+   * @returns {Config}
+   */
+  static fromEnv(prefix = '', env = process.env) {
+    let read = name => env[prefix + name] || ''
+
+    let config = new Config(
+      read('CLIENT_ID'),
+      read('API_KEY_ID'),
+      read('API_SECRET'),
+      read('PUBLIC_KEY'),
+      read('PRIVATE_KEY'),
+      read('API_URL') || DEFAULT_API_URL,
+      read('PUBLIC_SIGN_KEY'),
+      read('PRIVATE_SIGN_KEY')
+    )
+
+    return config.validate()
+  }
+
+  /**
+   * Load a configuration from an `e3db.json` file.
+   *
+   * @param {string} file Path to the configuration file
+   *
+   * @returns {Promise<Config>}
+   */
+  static async fromFile(file) {
+    let contents = await readFile(file)
+
+    return Config.decode(JSON.parse(contents))
+  }
+
+  /**
+   * Load a configuration from a named profile in the user's home directory.
+   *
+   * @param {string} [name] Profile name, or empty for the default profile
+   *
+   * @returns {Promise<Config>}
+   */
+  static async fromProfile(name = '') {
+    return Config.fromFile(Config.profilePath(name))
+  }
+
+  /**
+   * Get the location of a named profile's configuration file: `~/.tozny/e3db.json`
+   * for the default profile, or `~/.tozny/<name>/e3db.json` otherwise.
+   *
+   * @param {string} [name] Profile name, or empty for the default profile
+   *
+   * @returns {string}
+   */
+  static profilePath(name = '') {
+    if (name === '') {
+      return path.join(os.homedir(), '.tozny', 'e3db.json')
+    }
+
+    return path.join(os.homedir(), '.tozny', name, 'e3db.json')
+  }
+
+  /**
+   * Validate the configuration and write it to an `e3db.json` file readable
+   * only by its owner. Missing parent directories are created.
+   *
+   * @param {string} file Path to the configuration file
+   *
+   * @returns {Promise<bool>}
+   */
+  async save(file) {
+    this.validate()
+    let contents = JSON.stringify(this.serializable(), null, 2)
+
+    await makeDirectory(path.dirname(file))
+
+    await new Promise((resolve, reject) => {
+      fs.writeFile(
+        file,
+        contents,
+        { mode: 0o600 },
+        err => (err ? reject(err) : resolve())
+      )
+    })
+
+    // The mode only applies when the file is created
+    await new Promise((resolve, reject) => {
+      fs.chmod(file, 0o600, err => (err ? reject(err) : resolve()))
+    })
+
+    return true
+  }
 }
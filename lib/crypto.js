@@ -28,10 +28,13 @@ import crypto from 'crypto'
 import sodium from 'libsodium-wrappers'
 import base64url from 'base64url'
 
+import { DecryptStream, EncryptStream, DEFAULT_CHUNK_SIZE } from './stream'
 import { default as KeyPair } from './types/keyPair'
 import { default as Meta } from './types/meta'
 import { default as Record } from './types/record'
 
+const BLIND_INDEX_CONTEXT = 'e3db blind index'
+
 export default class Crypto {
   /**
    * Decrypt the access key provided for a specific reader so it can be used
@@ -76,14 +79,16 @@ export default class Crypto {
 
   /**
    * Create a clone of a given record, but decrypting each field in turn based on
-   * the provided access key.
+   * the provided access key. If a list of fields is given, only those fields are
+   * decrypted and the rest are dropped from the clone.
    *
    * @param {Record} encrypted Record to be unwrapped
    * @param {string} accessKey Access key to use for decrypting each data key.
+   * @param {array}  [fields]  Optional names of the only fields to decrypt
    *
    * @return {Promise<Record>}
    */
-  static async decryptRecord(encrypted, accessKey) {
+  static async decryptRecord(encrypted, accessKey, fields = null) {
     await sodium.ready
     // Clone the record meta
     let meta = new Meta(
@@ -100,6 +105,9 @@ export default class Crypto {
 
     // Decrypt the record data
     for (let key in encrypted.data) {
+      if (fields !== null && fields.indexOf(key) === -1) {
+        continue
+      }
       if (encrypted.data.hasOwnProperty(key)) {
         let components = encrypted.data[key].split('.')
         let [edk, edkN, ef, efN] = await Promise.all(
@@ -159,6 +167,111 @@ export default class Crypto {
     return encrypted
   }
 
+  /**
+   * Wrap the data key protecting each field of an encrypted record with a second,
+   * record-scoped key, so that holders of that key alone can decrypt the record.
+   *
+   * @param {Record}     encrypted Encrypted record
+   * @param {Uint8Array} accessKey Access key currently protecting the data keys
+   * @param {Uint8Array} recordKey Record-scoped key to wrap the data keys with
+   *
+   * @returns {Promise<object>} Map of field names to their data key wrapped with the record key
+   */
+  static async wrapDataKeys(encrypted, accessKey, recordKey) {
+    await sodium.ready
+    let wrapped = {}
+
+    for (let key in encrypted.data) {
+      if (encrypted.data.hasOwnProperty(key)) {
+        let [edk, edkN] = await Promise.all(
+          encrypted.data[key]
+            .split('.')
+            .slice(0, 2)
+            .map(async x => this.b64decode(x))
+        )
+
+        let dk = sodium.crypto_secretbox_open_easy(edk, edkN, accessKey)
+        let rdkN = sodium.randombytes_buf(sodium.crypto_secretbox_NONCEBYTES)
+        let rdk = sodium.crypto_secretbox_easy(dk, rdkN, recordKey)
+
+        wrapped[key] = (await this.b64encode(rdk)) + '.' + (await this.b64encode(rdkN))
+      }
+    }
+
+    return wrapped
+  }
+
+  /**
+   * Create a transform stream that encrypts everything written to it with the
+   * given secretstream key. The stream header needed for decryption is available
+   * immediately; size, chunk count and checksum are available once it finishes.
+   *
+   * @param {Uint8Array} key       Secretstream key, as generated by `randomStreamKey()`
+   * @param {number}     chunkSize Size of each plaintext chunk
+   *
+   * @returns {Promise<EncryptStream>}
+   */
+  static async encryptStream(key, chunkSize = DEFAULT_CHUNK_SIZE) {
+    await sodium.ready
+    return new EncryptStream(key, chunkSize)
+  }
+
+  /**
+   * Create a transform stream that decrypts ciphertext produced by `encryptStream()`.
+   *
+   * @param {Uint8Array} key        Secretstream key used during encryption
+   * @param {Uint8Array} header     Secretstream header emitted during encryption
+   * @param {number}     chunkSize  Size of each plaintext chunk used during encryption
+   * @param {string}     [checksum] Optional hex SHA-256 of the ciphertext to verify against
+   * @param {number}     [size]     Optional plaintext size to verify against
+   *
+   * @returns {Promise<DecryptStream>}
+   */
+  static async decryptStream(
+    key,
+    header,
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    checksum = null,
+    size = null
+  ) {
+    await sodium.ready
+    return new DecryptStream(key, header, chunkSize, checksum, size)
+  }
+
+  /**
+   * Encrypt a secretstream key with the access key of the record type it
+   * belongs to, so that only holders of the access key can recover it.
+   *
+   * @param {Uint8Array} streamKey Secretstream key, as generated by `randomStreamKey()`
+   * @param {Uint8Array} accessKey Access key for the record type
+   *
+   * @returns {Promise<string>} Encrypted and encoded stream key
+   */
+  static async wrapStreamKey(streamKey, accessKey) {
+    await sodium.ready
+    let nonce = sodium.randombytes_buf(sodium.crypto_secretbox_NONCEBYTES)
+    let wrapped = sodium.crypto_secretbox_easy(streamKey, nonce, accessKey)
+
+    return (await this.b64encode(wrapped)) + '.' + (await this.b64encode(nonce))
+  }
+
+  /**
+   * Decrypt a secretstream key encrypted with `wrapStreamKey()`.
+   *
+   * @param {string}     wrapped   Encrypted and encoded stream key
+   * @param {Uint8Array} accessKey Access key for the record type
+   *
+   * @returns {Promise<Uint8Array>}
+   */
+  static async unwrapStreamKey(wrapped, accessKey) {
+    await sodium.ready
+    let [key, nonce] = await Promise.all(
+      wrapped.split('.').map(async x => this.b64decode(x))
+    )
+
+    return sodium.crypto_secretbox_open_easy(key, nonce, accessKey)
+  }
+
   /**
    * Verify the signature on a given JSON document, given a specific public signing key.
    *
@@ -232,6 +345,42 @@ export default class Crypto {
     return sodium.crypto_secretbox_keygen()
   }
 
+  /**
+   * Generate a random key for use with Libsodium's secretstream interface
+   *
+   * @returns {Uint8Array}
+   */
+  static async randomStreamKey() {
+    await sodium.ready
+    return sodium.crypto_secretstream_xchacha20poly1305_keygen()
+  }
+
+  /**
+   * Compute the blind index token for a field value.
+   *
+   * The token is a keyed MAC of the field name and value under an index key
+   * derived from the record type's access key. Anyone holding the access key
+   * can compute the same token to search for equal values, while the token
+   * itself reveals nothing about the value.
+   *
+   * @param {Uint8Array} accessKey Access key for the record type
+   * @param {string}     field     Name of the indexed field
+   * @param {string}     value     Plaintext value of the field
+   *
+   * @returns {Promise<string>} Base64URL-encoded token
+   */
+  static async blindIndexToken(accessKey, field, value) {
+    await sodium.ready
+    let indexKey = sodium.crypto_generichash(
+      sodium.crypto_auth_KEYBYTES,
+      BLIND_INDEX_CONTEXT,
+      new Uint8Array(accessKey)
+    )
+    let token = sodium.crypto_auth(field + '\u0000' + value, indexKey)
+
+    return this.b64encode(token)
+  }
+
   /**
    * Use PBKDF2 to derive a key of a given length using a specified password
    * and salt.
@@ -0,0 +1,164 @@
+/*!
+ * Tozny e3db
+ *
+ * LICENSE
+ *
+ * Tozny dual licenses this product. For commercial use, please contact
+ * info@tozny.com. For non-commercial use, the contents of this file are
+ * subject to the TOZNY NON-COMMERCIAL LICENSE (the "License") which
+ * permits use of the software only by government agencies, schools,
+ * universities, non-profit organizations or individuals on projects that
+ * do not receive external funding other than government research grants
+ * and contracts.  Any other use requires a commercial license. You may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at https://tozny.com/legal/non-commercial-license.
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License. Portions of the software are Copyright (c) TOZNY LLC, 2017.
+ * All rights reserved.
+ *
+ * @copyright Copyright (c) 2017 Tozny, LLC (https://tozny.com)
+ */
+
+'use strict'
+
+import { BoundedMap, PersistedFile } from './store'
+
+const DEFAULT_MAX_ENTRIES = 1000
+const DEFAULT_TTL = 300000
+
+/*
+ * The client directory remembers what the server has said about other clients.
+ * Client caches hold recent ClientInfo lookups so that sharing with the same
+ * reader repeatedly does not fetch its keys every time. Key pin stores record
+ * the first public keys seen for each client, so that a client whose keys later
+ * change can be noticed before anything is encrypted to the new keys.
+ *
+ * Any object exposing the same async `get`, `set` and `delete` methods can be
+ * passed to a Client in place of either.
+ */
+
+/**
+ * In-memory cache of client information, bounded both in size and in age. Once
+ * full, the least recently used entry is evicted; entries older than the TTL
+ * are ignored.
+ *
+ * @property {number} maxEntries Maximum number of clients to hold
+ * @property {number} ttl        Milliseconds each entry remains valid, or NULL to never expire
+ */
+export class MemoryClientCache extends BoundedMap {
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES, ttl = DEFAULT_TTL) {
+    super(maxEntries, ttl)
+  }
+}
+
+/**
+ * In-memory store of pinned client keys. Pins are kept for the life of the
+ * process; use a FileKeyPinStore to keep them across restarts.
+ *
+ * Each pin is an object holding the Base64URL-encoded `curve25519` public key
+ * and `ed25519` signing key of a client, the latter NULL if it had none.
+ */
+export class MemoryKeyPinStore {
+  constructor() {
+    this._pins = new Map()
+  }
+
+  /**
+   * Retrieve the keys pinned for a client.
+   *
+   * @param {string} clientId
+   *
+   * @returns {Promise<object|undefined>} The pinned keys, or undefined if none
+   */
+  async get(clientId) {
+    return this._pins.get(clientId)
+  }
+
+  /**
+   * Pin the keys of a client, replacing any existing pin.
+   *
+   * @param {string} clientId
+   * @param {object} keys     Object holding `curve25519` and `ed25519` keys
+   *
+   * @returns {Promise}
+   */
+  async set(clientId, keys) {
+    this._pins.set(clientId, { curve25519: keys.curve25519, ed25519: keys.ed25519 })
+  }
+
+  /**
+   * Forget the keys pinned for a client, so that its next keys are trusted anew.
+   *
+   * @param {string} clientId
+   *
+   * @returns {Promise}
+   */
+  async delete(clientId) {
+    this._pins.delete(clientId)
+  }
+}
+
+/**
+ * Key pin store persisted to disk as JSON. Pins hold only public keys, so the
+ * file is not encrypted, but it is readable and writable only by its owner as
+ * anyone able to edit it could substitute keys.
+ *
+ * @property {string} path Location of the pin file
+ */
+export class FileKeyPinStore extends MemoryKeyPinStore {
+  constructor(path) {
+    super()
+
+    this.path = path
+    this._file = new PersistedFile(path)
+  }
+
+  /**
+   * Read the pin file, if one exists, exactly once.
+   *
+   * @returns {Promise}
+   */
+  async _load() {
+    return this._file.load(contents => {
+      let pins = JSON.parse(contents)
+      for (let clientId of Object.keys(pins)) {
+        this._pins.set(clientId, pins[clientId])
+      }
+    })
+  }
+
+  /**
+   * Write the current pins to disk.
+   *
+   * @returns {Promise}
+   */
+  async _save() {
+    return this._file.save(() => {
+      let pins = {}
+      for (let [clientId, keys] of this._pins) {
+        pins[clientId] = keys
+      }
+
+      return JSON.stringify(pins)
+    })
+  }
+
+  async get(clientId) {
+    await this._load()
+    return super.get(clientId)
+  }
+
+  async set(clientId, keys) {
+    await this._load()
+    await super.set(clientId, keys)
+    return this._save()
+  }
+
+  async delete(clientId) {
+    await this._load()
+    await super.delete(clientId)
+    return this._save()
+  }
+}
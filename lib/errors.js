@@ -0,0 +1,206 @@
+/*!
+ * Tozny e3db
+ *
+ * LICENSE
+ *
+ * Tozny dual licenses this product. For commercial use, please contact
+ * info@tozny.com. For non-commercial use, the contents of this file are
+ * subject to the TOZNY NON-COMMERCIAL LICENSE (the "License") which
+ * permits use of the software only by government agencies, schools,
+ * universities, non-profit organizations or individuals on projects that
+ * do not receive external funding other than government research grants
+ * and contracts.  Any other use requires a commercial license. You may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at https://tozny.com/legal/non-commercial-license.
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License. Portions of the software are Copyright (c) TOZNY LLC, 2017.
+ * All rights reserved.
+ *
+ * @copyright Copyright (c) 2017 Tozny, LLC (https://tozny.com)
+ */
+
+'use strict'
+
+/*
+ * Every error class below restores its own prototype after calling `super()`.
+ * Transpiled classes cannot otherwise extend the built-in Error, and `instanceof`
+ * checks against them would always fail.
+ */
+
+/**
+ * Base class for all errors raised by the E3DB SDK.
+ *
+ * @property {object} context Identifiers of the records or clients involved, such
+ *                            as `recordId`, `writerId`, `userId`, `readerId` and `type`
+ */
+export class E3dbError extends Error {
+  constructor(message, context = {}) {
+    super(message)
+    Object.setPrototypeOf(this, E3dbError.prototype)
+
+    this.name = 'E3dbError'
+    this.message = message
+    this.context = context
+  }
+}
+
+/**
+ * Error raised when the E3DB API responds with an unsuccessful HTTP status.
+ *
+ * @property {number} status  HTTP status code of the response
+ * @property {*}      body    Parsed JSON error body, or NULL if there was none
+ * @property {string} method  HTTP method of the failed request
+ * @property {string} path    Path of the failed request, relative to the API URL
+ * @property {object} context Identifiers of the records or clients involved
+ */
+export class E3dbHttpError extends E3dbError {
+  constructor(message, status, body = null, method = null, path = null, context = {}) {
+    super(message, context)
+    Object.setPrototypeOf(this, E3dbHttpError.prototype)
+
+    this.name = 'E3dbHttpError'
+    this.status = status
+    this.body = body
+    this.method = method
+    this.path = path
+  }
+}
+
+/**
+ * Error raised on a 401 response, when the client's credentials are rejected.
+ */
+export class UnauthorizedError extends E3dbHttpError {
+  constructor(message, status, body = null, method = null, path = null, context = {}) {
+    super(message, status, body, method, path, context)
+    Object.setPrototypeOf(this, UnauthorizedError.prototype)
+
+    this.name = 'UnauthorizedError'
+  }
+}
+
+/**
+ * Error raised on a 403 response, when the client may not act on a resource.
+ */
+export class ForbiddenError extends E3dbHttpError {
+  constructor(message, status, body = null, method = null, path = null, context = {}) {
+    super(message, status, body, method, path, context)
+    Object.setPrototypeOf(this, ForbiddenError.prototype)
+
+    this.name = 'ForbiddenError'
+  }
+}
+
+/**
+ * Error raised on a 404 response, when a resource does not exist.
+ */
+export class NotFoundError extends E3dbHttpError {
+  constructor(message, status, body = null, method = null, path = null, context = {}) {
+    super(message, status, body, method, path, context)
+    Object.setPrototypeOf(this, NotFoundError.prototype)
+
+    this.name = 'NotFoundError'
+  }
+}
+
+/**
+ * Error raised when client discovery finds no client registered with an email address.
+ */
+export class ClientNotFoundError extends NotFoundError {
+  constructor(message, status, body = null, method = null, path = null, context = {}) {
+    super(message, status, body, method, path, context)
+    Object.setPrototypeOf(this, ClientNotFoundError.prototype)
+
+    this.name = 'ClientNotFoundError'
+  }
+}
+
+/**
+ * Error raised on a 409 response, typically when a version-checked update or
+ * delete targets a record that has since changed.
+ */
+export class ConflictError extends E3dbHttpError {
+  constructor(message, status, body = null, method = null, path = null, context = {}) {
+    super(message, status, body, method, path, context)
+    Object.setPrototypeOf(this, ConflictError.prototype)
+
+    this.name = 'ConflictError'
+  }
+}
+
+/**
+ * Error raised when no access key is available to decrypt records of a type.
+ */
+export class MissingAccessKeyError extends E3dbError {
+  constructor(message = 'No access key available.', context = {}) {
+    super(message, context)
+    Object.setPrototypeOf(this, MissingAccessKeyError.prototype)
+
+    this.name = 'MissingAccessKeyError'
+  }
+}
+
+/**
+ * Error raised when a record's signature does not match its contents.
+ */
+export class SignatureVerificationError extends E3dbError {
+  constructor(message = 'Document failed verification', context = {}) {
+    super(message, context)
+    Object.setPrototypeOf(this, SignatureVerificationError.prototype)
+
+    this.name = 'SignatureVerificationError'
+  }
+}
+
+/**
+ * Error raised when the server reports different public keys for a client than
+ * those pinned when it was first seen.
+ *
+ * @property {object} pinned   Previously pinned `curve25519` and `ed25519` keys
+ * @property {object} received Keys now reported by the server
+ */
+export class KeyChangedError extends E3dbError {
+  constructor(message, context = {}, pinned = null, received = null) {
+    super(message, context)
+    Object.setPrototypeOf(this, KeyChangedError.prototype)
+
+    this.name = 'KeyChangedError'
+    this.pinned = pinned
+    this.received = received
+  }
+}
+
+const STATUS_ERRORS = {
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError
+}
+
+/**
+ * Build the most specific error for an unsuccessful HTTP status.
+ *
+ * @param {number} status  HTTP status code of the response
+ * @param {string} message Human-readable error message
+ * @param {*}      body    Parsed JSON error body, or NULL
+ * @param {string} method  HTTP method of the failed request
+ * @param {string} path    Path of the failed request
+ * @param {object} context Identifiers of the records or clients involved
+ *
+ * @returns {E3dbHttpError}
+ */
+export function httpError(
+  status,
+  message,
+  body = null,
+  method = null,
+  path = null,
+  context = {}
+) {
+  let ErrorClass = STATUS_ERRORS.hasOwnProperty(status)
+    ? STATUS_ERRORS[status]
+    : E3dbHttpError
+
+  return new ErrorClass(message, status, body, method, path, context)
+}
@@ -26,16 +26,41 @@
 /**
  * Root types
  */
+export { MemoryAccessKeyCache, FileAccessKeyCache } from './cache'
 export { default as Client } from './client'
 export { default as Config } from './config'
 export { default as Crypto } from './crypto'
+export { MemoryClientCache, MemoryKeyPinStore, FileKeyPinStore } from './directory'
+export { default as Plain } from './plain'
+export { default as QueryBuilder } from './queryBuilder'
+export { default as RetryPolicy } from './retry'
+export { EncryptStream, DecryptStream } from './stream'
+export { default as Transport } from './transport'
+
+/**
+ * Errors
+ */
+export {
+  E3dbError,
+  E3dbHttpError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ClientNotFoundError,
+  ConflictError,
+  MissingAccessKeyError,
+  SignatureVerificationError,
+  KeyChangedError
+} from './errors'
 
 /**
  * Primitive types
  */
 export { default as Meta } from './types/meta'
+export { default as Policy } from './types/policy'
 export { default as Record } from './types/record'
 export { default as RecordData } from './types/recordData'
 export { default as RecordInfo } from './types/recordInfo'
+export { default as ShareBundle } from './types/shareBundle'
 export { default as SignedDocument } from './types/signedDocument'
 export { default as SignedString } from './types/signedString'
@@ -0,0 +1,278 @@
+/*!
+ * Tozny e3db
+ *
+ * LICENSE
+ *
+ * Tozny dual licenses this product. For commercial use, please contact
+ * info@tozny.com. For non-commercial use, the contents of this file are
+ * subject to the TOZNY NON-COMMERCIAL LICENSE (the "License") which
+ * permits use of the software only by government agencies, schools,
+ * universities, non-profit organizations or individuals on projects that
+ * do not receive external funding other than government research grants
+ * and contracts.  Any other use requires a commercial license. You may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at https://tozny.com/legal/non-commercial-license.
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License. Portions of the software are Copyright (c) TOZNY LLC, 2017.
+ * All rights reserved.
+ *
+ * @copyright Copyright (c) 2017 Tozny, LLC (https://tozny.com)
+ */
+
+'use strict'
+
+/*
+ * Operators the search API evaluates itself. Predicates built from anything
+ * else are evaluated by the client against each record's plaintext meta.
+ */
+const SERVER_OPERATORS = ['eq', 'and', 'or', 'not']
+
+/**
+ * Check that a value is a non-empty string, as plaintext meta names must be.
+ *
+ * @param {string} name Value to check
+ *
+ * @returns {string}
+ */
+function fieldName(name) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error('Plaintext meta names must be non-empty strings')
+  }
+
+  return name
+}
+
+/**
+ * Structured predicate over the plaintext meta of records, for use as the
+ * `plain` filter of a query.
+ *
+ * Predicates are built with the static helpers and may be nested:
+ *
+ * <code>
+ * Plain.and(
+ *   Plain.eq('status', 'active'),
+ *   Plain.or(Plain.anyOf('region', ['us', 'eu']), Plain.not(Plain.exists('archived')))
+ * )
+ * </code>
+ *
+ * Whatever part of a predicate the search API understands is sent to the
+ * server; the remainder is applied by the client to each page of results.
+ *
+ * @property {string} op       Operator name
+ * @property {array}  operands Field names, values and nested predicates for the operator
+ */
+export default class Plain {
+  constructor(op, operands) {
+    this.op = op
+    this.operands = operands
+  }
+
+  /**
+   * Match records whose plaintext meta field equals a value.
+   *
+   * @param {string} name  Plaintext meta field
+   * @param {string} value Value to match
+   *
+   * @returns {Plain}
+   */
+  static eq(name, value) {
+    return new Plain('eq', [fieldName(name), String(value)])
+  }
+
+  /**
+   * Match records whose plaintext meta field equals any of several values.
+   *
+   * @param {string} name   Plaintext meta field
+   * @param {array}  values Values to match
+   *
+   * @returns {Plain}
+   */
+  static anyOf(name, values) {
+    if (!(values instanceof Array) || values.length === 0) {
+      throw new Error('anyOf() requires a non-empty array of values')
+    }
+
+    return Plain.or(values.map(value => Plain.eq(name, value)))
+  }
+
+  /**
+   * Alias of `anyOf()`.
+   *
+   * @param {string} name   Plaintext meta field
+   * @param {array}  values Values to match
+   *
+   * @returns {Plain}
+   */
+  static in(name, values) {
+    return Plain.anyOf(name, values)
+  }
+
+  /**
+   * Match records that have a plaintext meta field, whatever its value.
+   *
+   * @param {string} name Plaintext meta field
+   *
+   * @returns {Plain}
+   */
+  static exists(name) {
+    return new Plain('exists', [fieldName(name)])
+  }
+
+  /**
+   * Match records that do not match a predicate.
+   *
+   * @param {Plain} predicate
+   *
+   * @returns {Plain}
+   */
+  static not(predicate) {
+    return new Plain('not', predicateList([predicate]))
+  }
+
+  /**
+   * Match records that match every one of several predicates.
+   *
+   * @param {...Plain} predicates Predicates, individually or as a single array
+   *
+   * @returns {Plain}
+   */
+  static and(...predicates) {
+    return new Plain('and', predicateList(predicates))
+  }
+
+  /**
+   * Match records that match at least one of several predicates.
+   *
+   * @param {...Plain} predicates Predicates, individually or as a single array
+   *
+   * @returns {Plain}
+   */
+  static or(...predicates) {
+    return new Plain('or', predicateList(predicates))
+  }
+
+  /**
+   * Determine whether the search API can evaluate this entire predicate.
+   *
+   * @returns {bool}
+   */
+  serverSupported() {
+    if (SERVER_OPERATORS.indexOf(this.op) === -1) {
+      return false
+    }
+
+    return this.op === 'eq' || this.operands.every(operand => operand.serverSupported())
+  }
+
+  /**
+   * Split the predicate into the part the search API can evaluate and the part
+   * left for the client. Only the operands of an AND can be divided this way;
+   * any other predicate the server cannot evaluate in full is left to the client.
+   *
+   * @returns {object} `server` and `client` predicates, either of which may be NULL
+   */
+  split() {
+    if (this.serverSupported()) {
+      return { server: this, client: null }
+    }
+    if (this.op !== 'and') {
+      return { server: null, client: this }
+    }
+
+    let server = []
+    let client = []
+    for (let operand of this.operands) {
+      let parts = operand.split()
+      if (parts.server !== null) {
+        server.push(parts.server)
+      }
+      if (parts.client !== null) {
+        client.push(parts.client)
+      }
+    }
+
+    let group = list => {
+      if (list.length === 0) {
+        return null
+      }
+
+      return list.length === 1 ? list[0] : Plain.and(list)
+    }
+
+    return { server: group(server), client: group(client) }
+  }
+
+  /**
+   * Evaluate the predicate against the plaintext meta of a record.
+   *
+   * @param {object} plain Plaintext meta of the record
+   *
+   * @returns {bool}
+   */
+  matches(plain) {
+    plain = plain || {}
+
+    switch (this.op) {
+      case 'eq':
+        return (
+          plain.hasOwnProperty(this.operands[0]) &&
+          plain[this.operands[0]] === this.operands[1]
+        )
+      case 'exists':
+        return plain.hasOwnProperty(this.operands[0])
+      case 'not':
+        return !this.operands[0].matches(plain)
+      case 'and':
+        return this.operands.every(operand => operand.matches(plain))
+      case 'or':
+        return this.operands.some(operand => operand.matches(plain))
+      default:
+        throw new Error('Unknown plaintext meta operator: ' + this.op)
+    }
+  }
+
+  /**
+   * Generate the predicate in the search API's `plain` format.
+   *
+   * @returns {object}
+   */
+  serializable() {
+    if (!this.serverSupported()) {
+      throw new Error('The search API cannot evaluate ' + this.op + ' predicates')
+    }
+
+    if (this.op === 'eq') {
+      return { eq: { name: this.operands[0], value: this.operands[1] } }
+    }
+    if (this.op === 'not') {
+      return { not: this.operands[0].serializable() }
+    }
+
+    return { [this.op]: this.operands.map(operand => operand.serializable()) }
+  }
+}
+
+/**
+ * Check that every operand of a group is a predicate.
+ *
+ * @param {array} predicates Operands to check
+ *
+ * @returns {array}
+ */
+function predicateList(predicates) {
+  let list =
+    predicates.length === 1 && predicates[0] instanceof Array ? predicates[0] : predicates
+
+  if (list.length === 0) {
+    throw new Error('Predicate groups require at least one predicate')
+  }
+  for (let predicate of list) {
+    if (!(predicate instanceof Plain)) {
+      throw new Error('Predicate groups only accept Plain predicates')
+    }
+  }
+
+  return list
+}
@@ -0,0 +1,384 @@
+/*!
+ * Tozny e3db
+ *
+ * LICENSE
+ *
+ * Tozny dual licenses this product. For commercial use, please contact
+ * info@tozny.com. For non-commercial use, the contents of this file are
+ * subject to the TOZNY NON-COMMERCIAL LICENSE (the "License") which
+ * permits use of the software only by government agencies, schools,
+ * universities, non-profit organizations or individuals on projects that
+ * do not receive external funding other than government research grants
+ * and contracts.  Any other use requires a commercial license. You may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at https://tozny.com/legal/non-commercial-license.
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License. Portions of the software are Copyright (c) TOZNY LLC, 2017.
+ * All rights reserved.
+ *
+ * @copyright Copyright (c) 2017 Tozny, LLC (https://tozny.com)
+ */
+
+'use strict'
+
+import { default as Plain } from './plain'
+import {
+  DEFAULT_QUERY_COUNT,
+  dateBound,
+  orderMode,
+  verifyMode,
+  default as Query
+} from './types/query'
+import { default as QueryResult } from './types/queryResult'
+
+/**
+ * Flatten arguments given either individually or as a single array, checking
+ * that each is a non-empty string.
+ *
+ * @param {string} name   Name of the builder method, used in error messages
+ * @param {array}  values Arguments passed to the builder method
+ *
+ * @returns {array}
+ */
+function stringList(name, values) {
+  let list = values.length === 1 && values[0] instanceof Array ? values[0] : values
+
+  if (list.length === 0) {
+    throw new Error(name + '() requires at least one value')
+  }
+  for (let value of list) {
+    if (typeof value !== 'string' || value.length === 0) {
+      throw new Error(name + '() only accepts non-empty strings')
+    }
+  }
+
+  return list
+}
+
+/**
+ * Check that a value is a positive integer.
+ *
+ * @param {string} name  Name of the builder method, used in error messages
+ * @param {number} value Value to check
+ *
+ * @returns {number}
+ */
+function positiveInteger(name, value) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(name + '() requires a positive integer')
+  }
+
+  return value
+}
+
+/**
+ * Fluent builder for queries against the E3DB API, created with `client.find()`.
+ *
+ * Each method narrows the query and returns the builder, so that calls can be
+ * chained. Filters given more than once replace their earlier value. Call
+ * `execute()` to run the query, or `build()` to obtain the raw Query.
+ *
+ * <code>
+ * let result = client
+ *   .find()
+ *   .types('contact')
+ *   .writers(writerId)
+ *   .includeData()
+ *   .execute()
+ * </code>
+ */
+export default class QueryBuilder {
+  constructor(client) {
+    this.client = client
+    this._includeData = false
+    this._writerIds = null
+    this._userIds = null
+    this._recordIds = null
+    this._contentTypes = null
+    this._plain = null
+    this._allWriters = false
+    this._pageSize = DEFAULT_QUERY_COUNT
+    this._limit = null
+    this._options = {}
+    this._encrypted = []
+  }
+
+  /**
+   * Select records of one or more types.
+   *
+   * @param {...string} types Record types, individually or as a single array
+   *
+   * @returns {QueryBuilder}
+   */
+  types(...types) {
+    this._contentTypes = stringList('types', types)
+    return this
+  }
+
+  /**
+   * Select records written by one or more clients.
+   *
+   * @param {...string} writerIds Writer IDs, individually or as a single array
+   *
+   * @returns {QueryBuilder}
+   */
+  writers(...writerIds) {
+    this._writerIds = stringList('writers', writerIds)
+    return this
+  }
+
+  /**
+   * Select records about one or more users.
+   *
+   * @param {...string} userIds User IDs, individually or as a single array
+   *
+   * @returns {QueryBuilder}
+   */
+  users(...userIds) {
+    this._userIds = stringList('users', userIds)
+    return this
+  }
+
+  /**
+   * Select specific records.
+   *
+   * @param {...string} recordIds Record IDs, individually or as a single array
+   *
+   * @returns {QueryBuilder}
+   */
+  records(...recordIds) {
+    this._recordIds = stringList('records', recordIds)
+    return this
+  }
+
+  /**
+   * Filter records on their plaintext meta.
+   *
+   * @param {object|Plain} plain Structured predicate, or a filter in the search API's `plain` format
+   *
+   * @returns {QueryBuilder}
+   */
+  plain(plain) {
+    if (plain === null || typeof plain !== 'object' || plain instanceof Array) {
+      throw new Error('plain() requires an object')
+    }
+
+    this._plain = plain
+    return this
+  }
+
+  /**
+   * Filter records on the exact value of an encrypted data field.
+   *
+   * The field must be blind indexed for the queried types (see the client's
+   * `blindIndex` option) so that matching records carry a token computed from
+   * its value. The same token is computed here from the type's access key, so
+   * the value itself is never sent to the server. The query must select at
+   * least one type, and is limited to the current client's records unless
+   * `writers()` are given.
+   *
+   * @param {string} field Name of the indexed field
+   * @param {string} value Value to match
+   *
+   * @returns {QueryBuilder}
+   */
+  whereEncrypted(field, value) {
+    stringList('whereEncrypted', [field])
+    if (typeof value !== 'string') {
+      throw new Error('whereEncrypted() only accepts string values')
+    }
+
+    this._encrypted.push({ field, value })
+    return this
+  }
+
+  /**
+   * Fetch and decrypt the data of each record, rather than only its meta.
+   *
+   * @param {bool} [include] Whether to include record data
+   *
+   * @returns {QueryBuilder}
+   */
+  includeData(include = true) {
+    this._includeData = Boolean(include)
+    return this
+  }
+
+  /**
+   * Include records from every writer that has shared with the current client.
+   *
+   * @param {bool} [all] Whether to include all writers
+   *
+   * @returns {QueryBuilder}
+   */
+  allWriters(all = true) {
+    this._allWriters = Boolean(all)
+    return this
+  }
+
+  /**
+   * Select records created after a given time.
+   *
+   * @param {Date|number|string} date Exclusive bound, as a Date, millisecond timestamp or date string
+   *
+   * @returns {QueryBuilder}
+   */
+  createdAfter(date) {
+    this._options.createdAfter = dateBound('createdAfter', date)
+    return this
+  }
+
+  /**
+   * Select records created before a given time.
+   *
+   * @param {Date|number|string} date Exclusive bound, as a Date, millisecond timestamp or date string
+   *
+   * @returns {QueryBuilder}
+   */
+  createdBefore(date) {
+    this._options.createdBefore = dateBound('createdBefore', date)
+    return this
+  }
+
+  /**
+   * Select records last modified after a given time.
+   *
+   * @param {Date|number|string} date Exclusive bound, as a Date, millisecond timestamp or date string
+   *
+   * @returns {QueryBuilder}
+   */
+  modifiedAfter(date) {
+    this._options.modifiedAfter = dateBound('modifiedAfter', date)
+    return this
+  }
+
+  /**
+   * Select records last modified before a given time.
+   *
+   * @param {Date|number|string} date Exclusive bound, as a Date, millisecond timestamp or date string
+   *
+   * @returns {QueryBuilder}
+   */
+  modifiedBefore(date) {
+    this._options.modifiedBefore = dateBound('modifiedBefore', date)
+    return this
+  }
+
+  /**
+   * Order records by creation time.
+   *
+   * @param {string} [direction] Either 'asc' or 'desc'
+   *
+   * @returns {QueryBuilder}
+   */
+  order(direction = 'asc') {
+    this._options.order = orderMode(direction)
+    return this
+  }
+
+  /**
+   * Only decrypt the named data fields of each record, dropping the rest.
+   *
+   * @param {...string} fields Field names, individually or as a single array
+   *
+   * @returns {QueryBuilder}
+   */
+  fields(...fields) {
+    this._options.fields = stringList('fields', fields)
+    return this
+  }
+
+  /**
+   * Set how the signatures of decrypted records are checked, overriding the
+   * client's default. Without `includeData()` no record is decrypted, so none
+   * is verified whatever the mode.
+   *
+   * @param {string} mode One of 'off', 'if-present' or 'required'
+   *
+   * @returns {QueryBuilder}
+   */
+  verify(mode) {
+    this._options.verify = verifyMode(mode)
+    return this
+  }
+
+  /**
+   * Set the number of records fetched per request.
+   *
+   * @param {number} size Records per page
+   *
+   * @returns {QueryBuilder}
+   */
+  pageSize(size) {
+    this._pageSize = positiveInteger('pageSize', size)
+    return this
+  }
+
+  /**
+   * Set the maximum number of records to yield when iterating the result.
+   *
+   * @param {number} limit Maximum number of records
+   *
+   * @returns {QueryBuilder}
+   */
+  limit(limit) {
+    this._limit = positiveInteger('limit', limit)
+    return this
+  }
+
+  /**
+   * Build the query described so far.
+   *
+   * @returns {Query}
+   */
+  build() {
+    if (this._allWriters && this._writerIds !== null) {
+      throw new Error('writers() and allWriters() cannot be combined')
+    }
+    if (this._encrypted.length > 0) {
+      this._checkEncrypted()
+    }
+
+    let query = new Query(
+      0,
+      this._includeData,
+      this._writerIds,
+      this._recordIds,
+      this._contentTypes,
+      this._plain,
+      this._userIds,
+      this._pageSize,
+      this._allWriters
+    ).withOptions(this._options)
+    query.blindIndex = this._encrypted.slice()
+
+    return query
+  }
+
+  /**
+   * Check that encrypted field searches can be resolved for the query.
+   */
+  _checkEncrypted() {
+    if (this._allWriters) {
+      throw new Error('whereEncrypted() cannot be combined with allWriters()')
+    }
+    if (this._contentTypes === null) {
+      throw new Error('whereEncrypted() requires types() to be set')
+    }
+    if (this._plain !== null && !(this._plain instanceof Plain)) {
+      throw new Error('whereEncrypted() can only be combined with Plain predicates')
+    }
+  }
+
+  /**
+   * Build the query and prepare it for execution. Records are fetched from the
+   * server only as the result is paged or iterated.
+   *
+   * @returns {QueryResult}
+   */
+  execute() {
+    return new QueryResult(this.client, this.build(), this._limit)
+  }
+}
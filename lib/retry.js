@@ -0,0 +1,128 @@
+/*!
+ * Tozny e3db
+ *
+ * LICENSE
+ *
+ * Tozny dual licenses this product. For commercial use, please contact
+ * info@tozny.com. For non-commercial use, the contents of this file are
+ * subject to the TOZNY NON-COMMERCIAL LICENSE (the "License") which
+ * permits use of the software only by government agencies, schools,
+ * universities, non-profit organizations or individuals on projects that
+ * do not receive external funding other than government research grants
+ * and contracts.  Any other use requires a commercial license. You may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at https://tozny.com/legal/non-commercial-license.
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License. Portions of the software are Copyright (c) TOZNY LLC, 2017.
+ * All rights reserved.
+ *
+ * @copyright Copyright (c) 2017 Tozny, LLC (https://tozny.com)
+ */
+
+'use strict'
+
+const DEFAULT_RETRY_STATUSES = [429, 502, 503]
+
+/**
+ * Policy describing when and how long to wait before retrying a failed API call.
+ *
+ * Only idempotent calls are ever retried. Retries happen after a network error
+ * or one of the configured HTTP statuses, waiting an exponentially increasing
+ * delay between attempts. With jitter enabled the delay is picked at random up
+ * to that bound. A `Retry-After` header on the response takes precedence.
+ *
+ * @property {number}  retries     Maximum number of retries after the first attempt (0 disables retrying)
+ * @property {number}  minDelay    Delay in milliseconds before the first retry
+ * @property {number}  maxDelay    Upper bound in milliseconds for any single delay
+ * @property {number}  factor      Multiplier applied to the delay after each attempt
+ * @property {bool}    jitter      Whether to randomize each delay
+ * @property {array}   statuses    HTTP status codes considered transient
+ * @property {bool}    retryWrites Whether to also retry non-idempotent record writes
+ */
+export default class RetryPolicy {
+  constructor({
+    retries = 3,
+    minDelay = 100,
+    maxDelay = 10000,
+    factor = 2,
+    jitter = true,
+    statuses = DEFAULT_RETRY_STATUSES,
+    retryWrites = false
+  } = {}) {
+    this.retries = retries
+    this.minDelay = minDelay
+    this.maxDelay = maxDelay
+    this.factor = factor
+    this.jitter = jitter
+    this.statuses = statuses
+    this.retryWrites = retryWrites
+  }
+
+  /**
+   * Determine whether a failed attempt should be retried.
+   *
+   * @param {number}   attempt    Zero-based number of the attempt that just completed
+   * @param {Response} [response] Response received, if any
+   * @param {Error}    [error]    Network error raised, if any
+   *
+   * @returns {bool}
+   */
+  shouldRetry(attempt, response = null, error = null) {
+    if (attempt >= this.retries) {
+      return false
+    }
+
+    if (error !== null) {
+      return true
+    }
+
+    return response !== null && this.statuses.indexOf(response.status) !== -1
+  }
+
+  /**
+   * Compute how long to wait, in milliseconds, before the next attempt.
+   *
+   * @param {number}   attempt    Zero-based number of the attempt that just completed
+   * @param {Response} [response] Response received, if any
+   *
+   * @returns {number}
+   */
+  delay(attempt, response = null) {
+    let retryAfter = response === null ? null : RetryPolicy.retryAfter(response)
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelay)
+    }
+
+    let bound = Math.min(this.minDelay * Math.pow(this.factor, attempt), this.maxDelay)
+
+    return this.jitter ? Math.floor(Math.random() * bound) : bound
+  }
+
+  /**
+   * Parse the `Retry-After` header of a response, which may hold either a number
+   * of seconds or an HTTP date.
+   *
+   * @param {Response} response
+   *
+   * @returns {number|null} Delay in milliseconds, or NULL if absent or unparseable
+   */
+  static retryAfter(response) {
+    let header = response.headers ? response.headers.get('Retry-After') : null
+    if (header === null || header === undefined) {
+      return null
+    }
+
+    if (/^\d+$/.test(header.trim())) {
+      return parseInt(header, 10) * 1000
+    }
+
+    let date = Date.parse(header)
+    if (isNaN(date)) {
+      return null
+    }
+
+    return Math.max(date - Date.now(), 0)
+  }
+}
@@ -0,0 +1,198 @@
+/*!
+ * Tozny e3db
+ *
+ * LICENSE
+ *
+ * Tozny dual licenses this product. For commercial use, please contact
+ * info@tozny.com. For non-commercial use, the contents of this file are
+ * subject to the TOZNY NON-COMMERCIAL LICENSE (the "License") which
+ * permits use of the software only by government agencies, schools,
+ * universities, non-profit organizations or individuals on projects that
+ * do not receive external funding other than government research grants
+ * and contracts.  Any other use requires a commercial license. You may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at https://tozny.com/legal/non-commercial-license.
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License. Portions of the software are Copyright (c) TOZNY LLC, 2017.
+ * All rights reserved.
+ *
+ * @copyright Copyright (c) 2017 Tozny, LLC (https://tozny.com)
+ */
+
+'use strict'
+
+import fs from 'fs'
+
+/*
+ * Building blocks shared by the access key caches and the client directory.
+ */
+
+/**
+ * Map bounded both in size and in age. Once full, the least recently used
+ * entry is evicted; entries older than the TTL are ignored.
+ *
+ * @property {number} maxEntries Maximum number of entries to hold
+ * @property {number} ttl        Milliseconds each entry remains valid, or NULL to never expire
+ */
+export class BoundedMap {
+  constructor(maxEntries, ttl) {
+    this.maxEntries = maxEntries
+    this.ttl = ttl
+    this._entries = new Map()
+  }
+
+  /**
+   * Retrieve an entry.
+   *
+   * @param {string} key
+   *
+   * @returns {Promise<*>} The value, or undefined if absent or expired
+   */
+  async get(key) {
+    let entry = this._entries.get(key)
+    if (entry === undefined) {
+      return undefined
+    }
+
+    if (entry.expires !== null && entry.expires <= Date.now()) {
+      this._entries.delete(key)
+      return undefined
+    }
+
+    // Re-insert to mark the entry as most recently used
+    this._entries.delete(key)
+    this._entries.set(key, entry)
+
+    return entry.value
+  }
+
+  /**
+   * Store an entry, evicting the least recently used entry if full.
+   *
+   * @param {string} key
+   * @param {*}      value
+   *
+   * @returns {Promise}
+   */
+  async set(key, value) {
+    this._restore(key, value, this.ttl === null ? null : Date.now() + this.ttl)
+  }
+
+  /**
+   * Remove a single entry.
+   *
+   * @param {string} key
+   *
+   * @returns {Promise}
+   */
+  async delete(key) {
+    this._entries.delete(key)
+  }
+
+  /**
+   * List the keys of every entry held, including expired ones.
+   *
+   * @returns {array}
+   */
+  _keys() {
+    return Array.from(this._entries.keys())
+  }
+
+  /**
+   * List every entry held as `[key, value, expires]`, for persisting.
+   *
+   * @returns {array}
+   */
+  _snapshot() {
+    return Array.from(this._entries, ([key, entry]) => [key, entry.value, entry.expires])
+  }
+
+  /**
+   * Store an entry with a known expiry time, as read back from a snapshot.
+   *
+   * @param {string} key
+   * @param {*}      value
+   * @param {number} expires Timestamp after which the entry is ignored, or NULL
+   */
+  _restore(key, value, expires) {
+    this._entries.delete(key)
+    this._entries.set(key, { value: value, expires: expires })
+
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value)
+    }
+  }
+}
+
+/**
+ * File holding a snapshot of some state, readable and writable only by its
+ * owner. The file is read at most once, and writes are queued so that an older
+ * snapshot never overwrites a newer one.
+ *
+ * @property {string} path Location of the file
+ */
+export class PersistedFile {
+  constructor(path) {
+    this.path = path
+    this._loaded = null
+    this._saving = Promise.resolve()
+  }
+
+  /**
+   * Read the file, if one exists, exactly once.
+   *
+   * @param {function} restore Callback receiving the file contents
+   *
+   * @returns {Promise}
+   */
+  async load(restore) {
+    if (this._loaded === null) {
+      this._loaded = this._read().then(
+        contents => (contents === null ? null : restore(contents))
+      )
+    }
+
+    return this._loaded
+  }
+
+  /**
+   * Queue a write of the current state to the file.
+   *
+   * @param {function} serialize Callback producing the contents to write
+   *
+   * @returns {Promise}
+   */
+  async save(serialize) {
+    this._saving = this._saving
+      .catch(() => null)
+      .then(async () => this._write(await serialize()))
+    return this._saving
+  }
+
+  async _read() {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.path, 'utf8', (err, data) => {
+        if (err && err.code === 'ENOENT') {
+          return resolve(null)
+        }
+
+        return err ? reject(err) : resolve(data)
+      })
+    })
+  }
+
+  async _write(contents) {
+    return new Promise((resolve, reject) => {
+      fs.writeFile(this.path, contents, { mode: 0o600 }, err => {
+        if (err) {
+          return reject(err)
+        }
+
+        // The mode only applies when the file is created
+        fs.chmod(this.path, 0o600, err => (err ? reject(err) : resolve()))
+      })
+    })
+  }
+}
@@ -0,0 +1,201 @@
+/*!
+ * Tozny e3db
+ *
+ * LICENSE
+ *
+ * Tozny dual licenses this product. For commercial use, please contact
+ * info@tozny.com. For non-commercial use, the contents of this file are
+ * subject to the TOZNY NON-COMMERCIAL LICENSE (the "License") which
+ * permits use of the software only by government agencies, schools,
+ * universities, non-profit organizations or individuals on projects that
+ * do not receive external funding other than government research grants
+ * and contracts.  Any other use requires a commercial license. You may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at https://tozny.com/legal/non-commercial-license.
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License. Portions of the software are Copyright (c) TOZNY LLC, 2017.
+ * All rights reserved.
+ *
+ * @copyright Copyright (c) 2017 Tozny, LLC (https://tozny.com)
+ */
+
+'use strict'
+
+import crypto from 'crypto'
+import { Transform } from 'stream'
+import sodium from 'libsodium-wrappers'
+
+export const DEFAULT_CHUNK_SIZE = 65536
+
+/**
+ * Transform stream that encrypts arbitrary plaintext with libsodium's
+ * secretstream construction. Input is split into fixed-size chunks, each of
+ * which is emitted as a single authenticated ciphertext chunk. The final chunk
+ * is tagged so that truncation can be detected on decryption.
+ *
+ * Sodium must be ready before constructing; use `Crypto.encryptStream()`.
+ *
+ * @property {Uint8Array} header    Secretstream header required for decryption
+ * @property {number}     chunkSize Size of each plaintext chunk
+ * @property {number}     size      Number of plaintext bytes encrypted so far
+ * @property {number}     chunks    Number of ciphertext chunks emitted so far
+ * @property {string}     checksum  Hex SHA-256 of the full ciphertext, once finished
+ */
+export class EncryptStream extends Transform {
+  constructor(key, chunkSize = DEFAULT_CHUNK_SIZE) {
+    super()
+
+    let init = sodium.crypto_secretstream_xchacha20poly1305_init_push(key)
+
+    this._state = init.state
+    this._buffer = Buffer.alloc(0)
+    this._hash = crypto.createHash('sha256')
+    this.header = init.header
+    this.chunkSize = chunkSize
+    this.size = 0
+    this.chunks = 0
+    this.checksum = null
+  }
+
+  _pushChunk(chunk, tag) {
+    let encrypted = sodium.crypto_secretstream_xchacha20poly1305_push(
+      this._state,
+      new Uint8Array(chunk),
+      null,
+      tag
+    )
+    let output = Buffer.from(encrypted)
+
+    this._hash.update(output)
+    this.size += chunk.length
+    this.chunks += 1
+    this.push(output)
+  }
+
+  _transform(data, encoding, callback) {
+    this._buffer = Buffer.concat([this._buffer, Buffer.from(data, encoding)])
+
+    try {
+      while (this._buffer.length > this.chunkSize) {
+        this._pushChunk(
+          this._buffer.slice(0, this.chunkSize),
+          sodium.crypto_secretstream_xchacha20poly1305_TAG_MESSAGE
+        )
+        this._buffer = this._buffer.slice(this.chunkSize)
+      }
+    } catch (err) {
+      return callback(err)
+    }
+
+    callback()
+  }
+
+  _flush(callback) {
+    try {
+      this._pushChunk(
+        this._buffer,
+        sodium.crypto_secretstream_xchacha20poly1305_TAG_FINAL
+      )
+    } catch (err) {
+      return callback(err)
+    }
+
+    this._buffer = Buffer.alloc(0)
+    this.checksum = this._hash.digest('hex')
+    callback()
+  }
+}
+
+/**
+ * Transform stream that decrypts ciphertext produced by an EncryptStream.
+ *
+ * Decryption fails with an error if any chunk has been tampered with, if the
+ * stream ends before its final chunk, or if data follows the final chunk. When
+ * an expected checksum or size is provided, those are also checked once the
+ * stream ends.
+ *
+ * Sodium must be ready before constructing; use `Crypto.decryptStream()`.
+ *
+ * @property {number} chunkSize Size of each plaintext chunk
+ * @property {number} size      Number of plaintext bytes decrypted so far
+ */
+export class DecryptStream extends Transform {
+  constructor(key, header, chunkSize = DEFAULT_CHUNK_SIZE, checksum = null, size = null) {
+    super()
+
+    this._state = sodium.crypto_secretstream_xchacha20poly1305_init_pull(header, key)
+    this._buffer = Buffer.alloc(0)
+    this._hash = crypto.createHash('sha256')
+    this._final = false
+    this._expectedChecksum = checksum
+    this._expectedSize = size
+    this.chunkSize = chunkSize
+    this.size = 0
+  }
+
+  _pullChunk(chunk) {
+    if (this._final) {
+      throw new Error('Unexpected data after the final chunk of the stream')
+    }
+
+    let result = sodium.crypto_secretstream_xchacha20poly1305_pull(
+      this._state,
+      new Uint8Array(chunk)
+    )
+    if (!result) {
+      throw new Error('Stream chunk failed decryption')
+    }
+
+    this._hash.update(chunk)
+    this.size += result.message.length
+    if (result.tag === sodium.crypto_secretstream_xchacha20poly1305_TAG_FINAL) {
+      this._final = true
+    }
+
+    this.push(Buffer.from(result.message))
+  }
+
+  _transform(data, encoding, callback) {
+    let encryptedSize =
+      this.chunkSize + sodium.crypto_secretstream_xchacha20poly1305_ABYTES
+    this._buffer = Buffer.concat([this._buffer, Buffer.from(data, encoding)])
+
+    try {
+      while (this._buffer.length >= encryptedSize) {
+        this._pullChunk(this._buffer.slice(0, encryptedSize))
+        this._buffer = this._buffer.slice(encryptedSize)
+      }
+    } catch (err) {
+      return callback(err)
+    }
+
+    callback()
+  }
+
+  _flush(callback) {
+    try {
+      if (this._buffer.length > 0) {
+        this._pullChunk(this._buffer)
+        this._buffer = Buffer.alloc(0)
+      }
+
+      if (!this._final) {
+        throw new Error('Stream ended before its final chunk')
+      }
+
+      let checksum = this._hash.digest('hex')
+      if (this._expectedChecksum !== null && checksum !== this._expectedChecksum) {
+        throw new Error('Stream checksum does not match')
+      }
+      if (this._expectedSize !== null && this.size !== this._expectedSize) {
+        throw new Error('Stream size does not match')
+      }
+    } catch (err) {
+      return callback(err)
+    }
+
+    callback()
+  }
+}
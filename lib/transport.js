@@ -0,0 +1,100 @@
+/*!
+ * Tozny e3db
+ *
+ * LICENSE
+ *
+ * Tozny dual licenses this product. For commercial use, please contact
+ * info@tozny.com. For non-commercial use, the contents of this file are
+ * subject to the TOZNY NON-COMMERCIAL LICENSE (the "License") which
+ * permits use of the software only by government agencies, schools,
+ * universities, non-profit organizations or individuals on projects that
+ * do not receive external funding other than government research grants
+ * and contracts.  Any other use requires a commercial license. You may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at https://tozny.com/legal/non-commercial-license.
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License. Portions of the software are Copyright (c) TOZNY LLC, 2017.
+ * All rights reserved.
+ *
+ * @copyright Copyright (c) 2017 Tozny, LLC (https://tozny.com)
+ */
+
+/* global fetch */
+
+'use strict'
+
+import 'es6-promise/auto'
+import 'isomorphic-fetch'
+
+/**
+ * HTTP transport through which every E3DB API call is sent.
+ *
+ * By default requests are sent with the global `fetch`. Pass an alternate
+ * fetch-compatible function to send them elsewhere (e.g. through a custom
+ * agent, or to an in-memory server in tests).
+ *
+ * Request hooks receive `{ url, options }` before the request is sent and may
+ * modify it in place or return a replacement. Response hooks receive the
+ * response along with the request that produced it and may likewise return a
+ * replacement. Hooks may be async and run in the order they were added.
+ *
+ * Any object exposing a compatible `request(url, options)` method can be
+ * used in place of a Transport.
+ */
+export default class Transport {
+  constructor(fetchImpl = null) {
+    this._fetch = fetchImpl
+    this._requestHooks = []
+    this._responseHooks = []
+  }
+
+  /**
+   * Register a hook to run before each request is sent.
+   *
+   * @param {function} hook Function accepting and optionally returning a `{ url, options }` request
+   *
+   * @returns {Transport}
+   */
+  onRequest(hook) {
+    this._requestHooks.push(hook)
+    return this
+  }
+
+  /**
+   * Register a hook to run after each response is received.
+   *
+   * @param {function} hook Function accepting a response and its request, optionally returning a response
+   *
+   * @returns {Transport}
+   */
+  onResponse(hook) {
+    this._responseHooks.push(hook)
+    return this
+  }
+
+  /**
+   * Send a request through the registered hooks and the underlying fetch.
+   *
+   * @param {string} url     Absolute URL to fetch from the server
+   * @param {object} options Object representing additional settings for the fetch
+   *
+   * @returns {Promise<Response>}
+   */
+  async request(url, options = {}) {
+    let request = { url: url, options: options }
+    for (let hook of this._requestHooks) {
+      request = (await hook(request)) || request
+    }
+
+    let send = this._fetch === null ? fetch : this._fetch
+    let response = await send(request.url, request.options)
+
+    for (let hook of this._responseHooks) {
+      response = (await hook(response, request)) || response
+    }
+
+    return response
+  }
+}
@@ -0,0 +1,75 @@
+/*!
+ * Tozny e3db
+ *
+ * LICENSE
+ *
+ * Tozny dual licenses this product. For commercial use, please contact
+ * info@tozny.com. For non-commercial use, the contents of this file are
+ * subject to the TOZNY NON-COMMERCIAL LICENSE (the "License") which
+ * permits use of the software only by government agencies, schools,
+ * universities, non-profit organizations or individuals on projects that
+ * do not receive external funding other than government research grants
+ * and contracts.  Any other use requires a commercial license. You may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at https://tozny.com/legal/non-commercial-license.
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License. Portions of the software are Copyright (c) TOZNY LLC, 2017.
+ * All rights reserved.
+ *
+ * @copyright Copyright (c) 2017 Tozny, LLC (https://tozny.com)
+ */
+
+'use strict'
+
+/**
+ * Delegation of sharing authority over a writer's records of a type to another
+ * client, the authorizer, which may then share and revoke those records on the
+ * writer's behalf.
+ *
+ * @property {string} authorizerId Client allowed to share on the writer's behalf
+ * @property {string} writerId     Writer of the records
+ * @property {string} userId       Subject of the records
+ * @property {string} recordType   Type of the records
+ * @property {string} authorizedBy Client that granted the authority, normally the writer
+ */
+export default class AuthorizerPolicy {
+  constructor(authorizerId, writerId, userId, recordType, authorizedBy) {
+    this.authorizerId = authorizerId
+    this.writerId = writerId
+    this.userId = userId
+    this.recordType = recordType
+    this.authorizedBy = authorizedBy
+  }
+
+  /**
+   * Specify how an already unserialized JSON array should be marshaled into
+   * an object representation.
+   *
+   * <code>
+   * policy = AuthorizerPolicy::decode({
+   *   authorizer_id: '',
+   *   writer_id: '',
+   *   user_id: '',
+   *   record_type: '',
+   *   authorized_by: ''
+   * })
+   * <code>
+   *
+   * @param {object} json
+   *
+   * @return {Promise<AuthorizerPolicy>}
+   */
+  static async decode(json) {
+    return Promise.resolve(
+      new AuthorizerPolicy(
+        json.authorizer_id,
+        json.writer_id,
+        json.user_id,
+        json.record_type,
+        json.authorized_by
+      )
+    )
+  }
+}
@@ -23,19 +23,31 @@
 
 'use strict'
 
+import { default as Policy } from './policy'
+
 /**
  * Information about a specific E3DB client, including the client's
  * public key to be used for cryptographic operations.
  *
- * @property {string} writerId      Unique ID of the writer that shared with this client
- * @property {string} recordType    Type of record shared with this client
- * @property {string} [writerName]  Display name of the writer, if available
+ * @property {string} writerId       Unique ID of the writer that shared with this client
+ * @property {string} recordType     Type of record shared with this client
+ * @property {string} [writerName]   Display name of the writer, if available
+ * @property {Policy} [policy]       Policy applied to this client, if reported
+ * @property {string} [authorizedBy] Authorizer that shared on the writer's behalf, if any
  */
 export default class IncomingSharingPolicy {
-  constructor(writerId, recordType, writerName = null) {
+  constructor(
+    writerId,
+    recordType,
+    writerName = null,
+    policy = null,
+    authorizedBy = null
+  ) {
     this.writerId = writerId
     this.recordType = recordType
     this.writerName = writerName
+    this.policy = policy
+    this.authorizedBy = authorizedBy
   }
 
   /**
@@ -49,7 +61,11 @@ export default class IncomingSharingPolicy {
    * isp = IncomingSharingPolicy::decode({
    *   writer_id: '',
    *   record_type: '',
-   *   writer_name: ''
+   *   writer_name: '',
+   *   policy: {
+   *     allow: [{ read: {} }]
+   *   },
+   *   authorized_by: ''
    * })
    * <code>
    *
@@ -58,8 +74,19 @@ export default class IncomingSharingPolicy {
    * @return {Promise<IncomingSharingPolicy>}
    */
   static async decode(json) {
+    let policy = null
+    if (json.hasOwnProperty('policy') && json.policy !== null) {
+      policy = await Policy.decode(json.policy)
+    }
+
     return Promise.resolve(
-      new IncomingSharingPolicy(json.writer_id, json.record_type, json.writer_name)
+      new IncomingSharingPolicy(
+        json.writer_id,
+        json.record_type,
+        json.writer_name,
+        policy,
+        json.authorized_by
+      )
     )
   }
 }
@@ -23,19 +23,31 @@
 
 'use strict'
 
+import { default as Policy } from './policy'
+
 /**
  * Information about a specific E3DB client, including the client's
  * public key to be used for cryptographic operations.
  *
- * @property {string} readerId      Unique ID of the writer that shared with this client
- * @property {string} recordType    Type of record shared with this client
- * @property {string} [readerName]  Display name of the writer, if available
+ * @property {string} readerId       Unique ID of the writer that shared with this client
+ * @property {string} recordType     Type of record shared with this client
+ * @property {string} [readerName]   Display name of the writer, if available
+ * @property {Policy} [policy]       Policy applied to the reader, if reported
+ * @property {string} [authorizedBy] Authorizer that shared on the writer's behalf, if any
  */
 export default class OutgoingSharingPolicy {
-  constructor(readerId, recordType, readerName = null) {
+  constructor(
+    readerId,
+    recordType,
+    readerName = null,
+    policy = null,
+    authorizedBy = null
+  ) {
     this.readerId = readerId
     this.recordType = recordType
     this.readerName = readerName
+    this.policy = policy
+    this.authorizedBy = authorizedBy
   }
 
   /**
@@ -49,7 +61,11 @@ export default class OutgoingSharingPolicy {
    * isp = OutgoingSharingPolicy::decode({
    *   reader_id: '',
    *   record_type: '',
-   *   reader_name: ''
+   *   reader_name: '',
+   *   policy: {
+   *     allow: [{ read: {} }]
+   *   },
+   *   authorized_by: ''
    * })
    * <code>
    *
@@ -58,8 +74,19 @@ export default class OutgoingSharingPolicy {
    * @return {Promise<OutgoingSharingPolicy>}
    */
   static async decode(json) {
+    let policy = null
+    if (json.hasOwnProperty('policy') && json.policy !== null) {
+      policy = await Policy.decode(json.policy)
+    }
+
     return Promise.resolve(
-      new OutgoingSharingPolicy(json.reader_id, json.record_type, json.reader_name)
+      new OutgoingSharingPolicy(
+        json.reader_id,
+        json.record_type,
+        json.reader_name,
+        policy,
+        json.authorized_by
+      )
     )
   }
 }
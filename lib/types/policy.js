@@ -0,0 +1,180 @@
+/*!
+ * Tozny e3db
+ *
+ * LICENSE
+ *
+ * Tozny dual licenses this product. For commercial use, please contact
+ * info@tozny.com. For non-commercial use, the contents of this file are
+ * subject to the TOZNY NON-COMMERCIAL LICENSE (the "License") which
+ * permits use of the software only by government agencies, schools,
+ * universities, non-profit organizations or individuals on projects that
+ * do not receive external funding other than government research grants
+ * and contracts.  Any other use requires a commercial license. You may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at https://tozny.com/legal/non-commercial-license.
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License. Portions of the software are Copyright (c) TOZNY LLC, 2017.
+ * All rights reserved.
+ *
+ * @copyright Copyright (c) 2017 Tozny, LLC (https://tozny.com)
+ */
+
+'use strict'
+
+import { default as Serializable } from './serializable'
+
+/**
+ * Actions a sharing policy can allow or deny. `authorizer` grants authority to
+ * share on the writer's behalf, as set up by `Client.addAuthorizer`.
+ */
+const ACTIONS = ['read', 'write', 'delete', 'share', 'authorizer']
+
+/**
+ * Ensure an action is one a policy can express.
+ *
+ * @param {string} action
+ *
+ * @returns {string}
+ */
+function checkAction(action) {
+  if (ACTIONS.indexOf(action) === -1) {
+    throw new Error('Policy action must be one of ' + ACTIONS.join(', '))
+  }
+
+  return action
+}
+
+/**
+ * Convert a map of actions to conditions into the list of rules E3DB expects.
+ *
+ * @param {object} map
+ *
+ * @returns {array}
+ */
+function rules(map) {
+  return Object.keys(map).map(action => ({ [action]: map[action] }))
+}
+
+/**
+ * Convert a list of rules from E3DB into a map of actions to conditions.
+ *
+ * @param {array} [list]
+ *
+ * @returns {object}
+ */
+function actions(list) {
+  let map = {}
+  for (let rule of list || []) {
+    for (let action of Object.keys(rule)) {
+      map[action] = rule[action] || {}
+    }
+  }
+
+  return map
+}
+
+/**
+ * Sharing policy applied by a writer to a reader for records of a type.
+ *
+ * A policy allows and denies individual actions, each optionally subject to
+ * conditions that are sent to E3DB as the body of the rule. Where an action is
+ * both allowed and denied, the denial wins.
+ *
+ * <code>
+ * policy = new Policy().allow('read').allow('write', { ... }).deny('delete')
+ * </code>
+ *
+ * @property {object} allowed Map of allowed actions to their conditions
+ * @property {object} denied  Map of denied actions to their conditions
+ */
+export default class Policy extends Serializable {
+  constructor(allowed = {}, denied = {}) {
+    super()
+
+    this.allowed = allowed
+    this.denied = denied
+  }
+
+  /**
+   * Allow an action, replacing any conditions previously set for it.
+   *
+   * @param {string} action       One of 'read', 'write', 'delete', 'share' or 'authorizer'
+   * @param {object} [conditions] Conditions under which the action is allowed
+   *
+   * @returns {Policy}
+   */
+  allow(action, conditions = {}) {
+    this.allowed[checkAction(action)] = conditions
+    return this
+  }
+
+  /**
+   * Deny an action, replacing any conditions previously set for it.
+   *
+   * @param {string} action       One of 'read', 'write', 'delete', 'share' or 'authorizer'
+   * @param {object} [conditions] Conditions under which the action is denied
+   *
+   * @returns {Policy}
+   */
+  deny(action, conditions = {}) {
+    this.denied[checkAction(action)] = conditions
+    return this
+  }
+
+  /**
+   * Determine whether the policy allows an action, disregarding any conditions.
+   *
+   * @param {string} action
+   *
+   * @returns {bool}
+   */
+  allows(action) {
+    return this.allowed.hasOwnProperty(action) && !this.denied.hasOwnProperty(action)
+  }
+
+  /**
+   * Generate a JSON.stringify-friendly version of the object
+   * automatically omitting any empty rule lists.
+   *
+   * @returns {object}
+   */
+  serializable() {
+    let toSerialize = {
+      allow: rules(this.allowed),
+      deny: rules(this.denied)
+    }
+
+    for (let key in toSerialize) {
+      if (toSerialize.hasOwnProperty(key)) {
+        if (toSerialize[key].length === 0) {
+          delete toSerialize[key]
+        }
+      }
+    }
+
+    return toSerialize
+  }
+
+  /**
+   * Specify how an already unserialized JSON array should be marshaled into
+   * an object representation. Actions not known to this SDK are preserved.
+   *
+   * <code>
+   * policy = Policy.decode({
+   *   allow: [{ read: {} }, { share: {} }],
+   *   deny: [{ write: {} }]
+   * })
+   * </code>
+   *
+   * @param {object} json
+   *
+   * @return {Promise<Policy>}
+   */
+  static decode(json) {
+    let policy = new Policy(actions(json.allow), actions(json.deny))
+
+    return Promise.resolve(policy)
+  }
+}
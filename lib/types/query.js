@@ -23,12 +23,117 @@
 
 'use strict'
 
+import { default as Plain } from '../plain'
 import { default as Serializable } from './serializable'
 
-const DEFAULT_QUERY_COUNT = 100
+export const DEFAULT_QUERY_COUNT = 100
+const ORDERS = ['asc', 'desc']
+const VERIFY_MODES = ['off', 'if-present', 'required']
+
+/* eslint-disable camelcase */
+const DATE_FIELDS = {
+  createdAfter: 'created_after',
+  createdBefore: 'created_before',
+  modifiedAfter: 'modified_after',
+  modifiedBefore: 'modified_before'
+}
+/* eslint-enable */
+
+/**
+ * Normalize an optional date bound, accepting a Date, a timestamp in
+ * milliseconds or a date string.
+ *
+ * @param {string}             name  Name of the option, used in error messages
+ * @param {Date|number|string} value Date bound, or NULL for none
+ *
+ * @returns {Date|null}
+ */
+export function dateBound(name, value) {
+  if (value === null || value === undefined) {
+    return null
+  }
+
+  let date = value instanceof Date ? value : new Date(value)
+  if (isNaN(date.getTime())) {
+    throw new Error(name + ' must be a valid date')
+  }
+
+  return date
+}
+
+/**
+ * Check that a record ordering is valid.
+ *
+ * @param {string} order Either 'asc' or 'desc'
+ *
+ * @returns {string}
+ */
+export function orderMode(order) {
+  if (ORDERS.indexOf(order) === -1) {
+    throw new Error("order must be either 'asc' or 'desc'")
+  }
+
+  return order
+}
+
+/**
+ * Check that a signature verification mode is valid.
+ *
+ * @param {string} mode One of 'off', 'if-present' or 'required'
+ *
+ * @returns {string}
+ */
+export function verifyMode(mode) {
+  if (VERIFY_MODES.indexOf(mode) === -1) {
+    throw new Error("verify must be one of 'off', 'if-present' or 'required'")
+  }
+
+  return mode
+}
+
+/**
+ * Determine whether a timestamp from record meta falls strictly between two
+ * optional bounds.
+ *
+ * @param {string} value  Timestamp from the record meta
+ * @param {Date}   after  Lower bound, or NULL
+ * @param {Date}   before Upper bound, or NULL
+ *
+ * @returns {bool}
+ */
+function within(value, after, before) {
+  if (after === null && before === null) {
+    return true
+  }
+
+  let time = value === undefined || value === null ? NaN : new Date(value).getTime()
+  if (isNaN(time)) {
+    return false
+  }
+
+  return (
+    (after === null || time > after.getTime()) &&
+    (before === null || time < before.getTime())
+  )
+}
 
 /**
  * Describe a query request against the E3DB API.
+ *
+ * Date ranges and ordering, set with `withOptions()`, are sent to the server
+ * and also enforced by the client for servers that do not support them. Field
+ * projection only limits which fields the client decrypts.
+ *
+ * @property {object|Plain} plain          Plaintext meta filter sent to the server
+ * @property {Plain}        filter         Plaintext meta predicate the server cannot evaluate, applied by the client
+ * @property {Date}         createdAfter   Only match records created after this time
+ * @property {Date}         createdBefore  Only match records created before this time
+ * @property {Date}         modifiedAfter  Only match records modified after this time
+ * @property {Date}         modifiedBefore Only match records modified before this time
+ * @property {string}       order          'asc' or 'desc' to order records by creation time, or NULL
+ * @property {array}        fields         Names of the only data fields to decrypt, or NULL for all
+ * @property {string}       verify         Signature verification mode, or NULL for the client's default
+ * @property {array}        blindIndex     Encrypted field searches, as `{ field, value }`, not yet resolved to tokens
  */
 export default class Query extends Serializable {
   constructor(
@@ -77,11 +182,72 @@ export default class Query extends Serializable {
       this.userIds = [userIds]
     }
 
-    if (typeof plain === 'object') {
+    // Structured predicates are divided between the server and the client
+    this.filter = null
+    if (plain instanceof Plain) {
+      let parts = plain.split()
+      this.plain = parts.server
+      this.filter = parts.client
+    } else if (typeof plain === 'object') {
       this.plain = plain
     } else {
       this.plain = null
     }
+
+    this.createdAfter = null
+    this.createdBefore = null
+    this.modifiedAfter = null
+    this.modifiedBefore = null
+    this.order = null
+    this.fields = null
+    this.verify = null
+    this.blindIndex = []
+  }
+
+  /**
+   * Restrict the query to records created or modified within a date range,
+   * and/or order its results by creation time.
+   *
+   * Options:
+   *
+   * - `createdAfter` / `createdBefore`: Exclusive bounds on when records were created
+   * - `modifiedAfter` / `modifiedBefore`: Exclusive bounds on when records were last modified
+   * - `order`: 'asc' or 'desc' to order records by creation time
+   * - `fields`: Names of the only data fields to decrypt; the rest are dropped
+   * - `verify`: Signature verification mode for decrypted records, overriding the
+   *   client's default; records without data are never verified
+   *
+   * Bounds may be given as Dates, millisecond timestamps or date strings.
+   * Options not given are left unchanged.
+   *
+   * @param {object} options Date bounds, ordering, field projection and verification mode
+   *
+   * @returns {Query}
+   */
+  withOptions(options = {}) {
+    for (let name of Object.keys(DATE_FIELDS)) {
+      if (options[name] !== undefined) {
+        this[name] = dateBound(name, options[name])
+      }
+    }
+
+    if (options.order !== undefined) {
+      this.order = options.order === null ? null : orderMode(options.order)
+    }
+
+    if (options.fields !== undefined) {
+      if (options.fields !== null && !(options.fields instanceof Array)) {
+        throw new Error('fields must be an array of field names')
+      }
+
+      this.fields = options.fields
+    }
+
+    if (options.verify !== undefined) {
+      this.verify = options.verify === null ? null : verifyMode(options.verify)
+    }
+
+    return this
   }
 
   /* eslint-disable camelcase */
@@ -113,15 +279,20 @@ export default class Query extends Serializable {
     if (this.contentTypes !== null && this.contentTypes.length > 0) {
       toSerialize.content_types = this.contentTypes
     }
-    if (this.plain !== null) {
-      toSerialize.plain = this.plain
-    }
+    toSerialize.plain =
+      this.plain instanceof Plain ? this.plain.serializable() : this.plain
     if (this.afterIndex !== null) {
       toSerialize.after_index = this.afterIndex
     }
     if (this.includeAllWriters !== null) {
       toSerialize.include_all_writers = Boolean(this.includeAllWriters)
     }
+    for (let name of Object.keys(DATE_FIELDS)) {
+      if (this[name] !== null) {
+        toSerialize[DATE_FIELDS[name]] = this[name].toISOString()
+      }
+    }
+    toSerialize.order = this.order
 
     for (let key in toSerialize) {
       if (toSerialize.hasOwnProperty(key)) {
@@ -134,5 +305,25 @@ export default class Query extends Serializable {
     return toSerialize
   }
 
+  /**
+   * Determine whether a search result satisfies the parts of the query that
+   * the server may not have enforced: the client-side plaintext meta filter
+   * and any date ranges.
+   *
+   * @param {object} meta Raw record meta from a search result
+   *
+   * @returns {bool}
+   */
+  matches(meta) {
+    if (this.filter !== null && !this.filter.matches(meta.plain)) {
+      return false
+    }
+
+    return (
+      within(meta.created, this.createdAfter, this.createdBefore) &&
+      within(meta.last_modified, this.modifiedAfter, this.modifiedBefore)
+    )
+  }
+
   /* eslint-enable */
 }
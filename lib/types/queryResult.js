@@ -27,22 +27,92 @@ import { default as Crypto } from '../crypto'
 
 import { default as EAKInfo } from './eakInfo'
 import { default as Meta } from './meta'
+import { default as Query } from './query'
 import { default as Record } from './record'
 
+export const asyncIterator = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')
+
 /**
  * Describe a query result returned from E3DB API.
+ *
+ * Results can be consumed a page at a time via `next()`, or one record at a
+ * time via `for await (const record of result)`, which pages automatically.
+ *
+ * @property {number} [limit] Maximum number of records to yield when iterating
  */
 export default class QueryResult {
-  constructor(client, query) {
+  constructor(client, query, limit = null) {
     this.afterIndex = 0
     this.client = client
     this.query = query
     this.done = false
+    this.limit = limit
+    this._drained = false
+    this._sorted = null
+  }
+
+  /**
+   * Iterate over every record matched by the query, fetching further pages
+   * from the server only as they are needed.
+   *
+   * Iteration ends once the server has no more results, once `limit` records
+   * have been yielded, or when the consumer calls `return()` (e.g. by breaking
+   * out of a `for await` loop). No further pages are fetched after any of these.
+   *
+   * @returns {object} Async iterator yielding individual Record instances
+   */
+  [asyncIterator]() {
+    let buffer = []
+    let yielded = 0
+    let finished = false
+
+    let finish = value => {
+      finished = true
+      buffer = []
+      return Promise.resolve({ value: value, done: true })
+    }
+
+    return {
+      next: async () => {
+        if (finished || (this.limit !== null && yielded >= this.limit)) {
+          return finish()
+        }
+
+        while (buffer.length === 0) {
+          if (this.done) {
+            return finish()
+          }
+
+          buffer = await this.next()
+
+          // Iteration may have been cancelled while the page was in flight
+          if (finished) {
+            return finish()
+          }
+        }
+
+        yielded += 1
+        return { value: buffer.shift(), done: false }
+      },
+      return: async value => finish(value),
+      [asyncIterator]() {
+        return this
+      }
+    }
   }
 
   /**
    * Get the next page of results from the current query
    *
+   * Any part of the query's filters that the server may not have enforced is
+   * applied here. Pages left empty by those filters are skipped, so an empty
+   * array is only ever returned once the query is exhausted.
+   *
+   * Ordered queries cannot be sorted a page at a time, so the first call
+   * fetches the meta of every matching record, sorts it, and subsequent calls
+   * then page through the sorted results, keeping no more than `limit` of them.
+   * Record data is only fetched and decrypted for each page as it is returned.
+   *
    * @returns {Promise<array>}
    */
   async next() {
@@ -51,30 +121,50 @@ export default class QueryResult {
       return Promise.resolve([])
     }
 
-    let query = this.query
-    query.afterIndex = this.afterIndex
-
-    let response = await this.client._query(query)
-
-    // If we've reached the last page, keep track and exit
-    if (response.results.length === 0) {
+    // Encrypted field searches need access keys, so are resolved on first use
+    if (
+      this.query.blindIndex.length > 0 &&
+      !(await this.client._resolveBlindIndex(this.query))
+    ) {
       this.done = true
       return Promise.resolve([])
     }
 
+    let results
+    if (this.query.order === null) {
+      results = await this._fetch()
+      this.done = this._drained
+    } else {
+      if (this._sorted === null) {
+        this._sorted = await this._fetchSorted()
+      }
+
+      results = await this._fetchData(this._sorted.splice(0, this.query.count))
+      this.done = this._sorted.length === 0
+    }
+
+    // Only decrypted records are verified, so meta-only queries skip the check
+    // even in 'required' mode
+    let mode = this.query.verify || this.client.verification || 'off'
+    let partial = this.query.fields !== null
+
     /* eslint-disable */
     let records = await Promise.all(
-      response.results.map(async result => {
+      results.map(async result => {
         let meta = await Meta.decode(result.meta)
-        let record = new Record(meta, result.record_data)
+        let record = new Record(meta, result.record_data, result.rec_sig || null)
 
-        if (query.includeData && result.access_key !== null) {
+        if (this.query.includeData && result.access_key !== null) {
           let eak = await EAKInfo.decode(result.access_key)
 
-          return Crypto.decryptEak(
+          let decrypted = await Crypto.decryptEak(
             this.client.config.privateKey,
             eak
-          ).then(ak => Crypto.decryptRecord(record, ak))
+          ).then(ak => Crypto.decryptRecord(record, ak, this.query.fields))
+
+          return mode === 'off'
+            ? decrypted
+            : this.client._verifyRecord(decrypted, mode, partial)
         }
 
         return Promise.resolve(record)
@@ -82,8 +172,100 @@ export default class QueryResult {
     )
     /* eslint-enable */
 
-    this.afterIndex = response.last_index
-
     return Promise.resolve(records)
   }
+
+  /**
+   * Fetch raw search results from the server until a page yields at least one
+   * result matching the query, or the server has no more results.
+   *
+   * @returns {Promise<array>}
+   */
+  async _fetch(query = this.query) {
+    let results = []
+
+    while (results.length === 0 && !this._drained) {
+      query.afterIndex = this.afterIndex
+
+      let response = await this.client._query(query)
+
+      // If we've reached the last page, keep track and exit
+      if (response.results.length === 0) {
+        this._drained = true
+        break
+      }
+
+      this.afterIndex = response.last_index
+      results = response.results.filter(result => query.matches(result.meta))
+    }
+
+    return results
+  }
+
+  /**
+   * Fetch the meta of every raw search result matching the query, ordered by
+   * creation time and cut down to `limit` results.
+   *
+   * @returns {Promise<array>}
+   */
+  async _fetchSorted() {
+    let query = Object.assign(new Query(), this.query, { includeData: false })
+
+    let results = []
+    let page = await this._fetch(query)
+    while (page.length > 0) {
+      results.push(...page)
+      page = await this._fetch(query)
+    }
+
+    let direction = this.query.order === 'desc' ? -1 : 1
+    let created = result => new Date(result.meta.created).getTime() || 0
+    results.sort((a, b) => direction * (created(a) - created(b)))
+
+    return this.limit === null ? results : results.slice(0, this.limit)
+  }
+
+  /**
+   * Fetch the data of a page of sorted search results, if the query includes
+   * data, keeping the order of the page. Records deleted since they were
+   * sorted are dropped.
+   *
+   * @param {array} page Raw search results holding only record meta
+   *
+   * @returns {Promise<array>}
+   */
+  async _fetchData(page) {
+    if (!this.query.includeData || page.length === 0) {
+      return page
+    }
+
+    let query = Object.assign(new Query(), this.query, {
+      afterIndex: 0,
+      recordIds: page.map(result => result.meta.record_id),
+      count: page.length,
+      order: null
+    })
+
+    // Stop early once every record of the page has been found
+    let found = {}
+    let missing = page.length
+    while (missing > 0) {
+      let response = await this.client._query(query)
+      if (response.results.length === 0) {
+        break
+      }
+
+      for (let result of response.results) {
+        if (!found.hasOwnProperty(result.meta.record_id)) {
+          missing -= 1
+        }
+        found[result.meta.record_id] = result
+      }
+      query.afterIndex = response.last_index
+    }
+
+    return page
+      .map(result => found[result.meta.record_id])
+      .filter(result => result !== undefined)
+  }
 }
@@ -0,0 +1,168 @@
+/*!
+ * Tozny e3db
+ *
+ * LICENSE
+ *
+ * Tozny dual licenses this product. For commercial use, please contact
+ * info@tozny.com. For non-commercial use, the contents of this file are
+ * subject to the TOZNY NON-COMMERCIAL LICENSE (the "License") which
+ * permits use of the software only by government agencies, schools,
+ * universities, non-profit organizations or individuals on projects that
+ * do not receive external funding other than government research grants
+ * and contracts.  Any other use requires a commercial license. You may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at https://tozny.com/legal/non-commercial-license.
+ * Software distributed under the License is distributed on an "AS IS"
+ * basis, WITHOUT WARRANTY OF ANY KIND, either express or implied. See the
+ * License for the specific language governing rights and limitations under
+ * the License. Portions of the software are Copyright (c) TOZNY LLC, 2017.
+ * All rights reserved.
+ *
+ * @copyright Copyright (c) 2017 Tozny, LLC (https://tozny.com)
+ */
+
+'use strict'
+
+import { default as PublicKey } from './publicKey'
+import { default as Signable } from './signable'
+
+/**
+ * Everything needed to share records of a type with a reader, prepared offline
+ * to be submitted to E3DB later: the access key encrypted for the reader and
+ * the sharing policy to apply.
+ *
+ * The bundle is signed by the writer. Its signature covers every other field,
+ * so store and transmit it with `stringify()` and restore it with `decode()`.
+ *
+ * @property {string}    writerId            Writer of the shared records
+ * @property {string}    userId              Subject of the shared records
+ * @property {string}    readerId            Reader being granted access
+ * @property {string}    type                Type of the shared records
+ * @property {string}    eak                 Access key encrypted for the reader
+ * @property {PublicKey} authorizerPublicKey Curve25519 key the access key was encrypted with
+ * @property {PublicKey} readerPublicKey     Curve25519 key the access key was encrypted for
+ * @property {object}    policy              Sharing policy to apply
+ * @property {string}    signature           Writer's Ed25519 signature over the bundle
+ */
+export default class ShareBundle extends Signable {
+  constructor(
+    writerId,
+    userId,
+    readerId,
+    type,
+    eak,
+    authorizerPublicKey,
+    readerPublicKey,
+    policy,
+    signature = null
+  ) {
+    super()
+
+    this.writerId = writerId
+    this.userId = userId
+    this.readerId = readerId
+    this.type = type
+    this.eak = eak
+    this.authorizerPublicKey = new PublicKey(authorizerPublicKey)
+    this.readerPublicKey = new PublicKey(readerPublicKey)
+    this.policy = policy
+    this.signature = signature
+  }
+
+  /* eslint-disable camelcase */
+
+  /**
+   * Generate a JSON.stringify-friendly version of the object
+   * automatically omitting any `null` fields.
+   *
+   * The policy is serialized as a JSON string, since the key sorting applied
+   * before signing does not preserve the arrays a policy contains.
+   *
+   * @returns {object}
+   */
+  serializable() {
+    let toSerialize = {
+      writer_id: this.writerId,
+      user_id: this.userId,
+      reader_id: this.readerId,
+      record_type: this.type,
+      eak: this.eak,
+      authorizer_public_key: this.authorizerPublicKey,
+      reader_public_key: this.readerPublicKey,
+      policy: JSON.stringify(this.policy),
+      signature: this.signature
+    }
+
+    for (let key in toSerialize) {
+      if (toSerialize.hasOwnProperty(key)) {
+        if (toSerialize[key] === null) {
+          delete toSerialize[key]
+        }
+      }
+    }
+
+    return toSerialize
+  }
+
+  /* eslint-enable */
+
+  /**
+   * Copy the bundle without its signature, yielding the document that is signed.
+   *
+   * @returns {ShareBundle}
+   */
+  unsigned() {
+    return new ShareBundle(
+      this.writerId,
+      this.userId,
+      this.readerId,
+      this.type,
+      this.eak,
+      this.authorizerPublicKey.curve25519,
+      this.readerPublicKey.curve25519,
+      this.policy
+    )
+  }
+
+  /**
+   * Specify how an already unserialized JSON array should be marshaled into
+   * an object representation.
+   *
+   * <code>
+   * bundle = ShareBundle.decode({
+   *   writer_id: '',
+   *   user_id: '',
+   *   reader_id: '',
+   *   record_type: '',
+   *   eak: '',
+   *   authorizer_public_key: {
+   *     curve25519: ''
+   *   },
+   *   reader_public_key: {
+   *     curve25519: ''
+   *   },
+   *   policy: '{}',
+   *   signature: ''
+   * })
+   * </code>
+   *
+   * @param {object} json
+   *
+   * @return {Promise<ShareBundle>}
+   */
+  static decode(json) {
+    let bundle = new ShareBundle(
+      json.writer_id,
+      json.user_id,
+      json.reader_id,
+      json.record_type,
+      json.eak,
+      json.authorizer_public_key.curve25519,
+      json.reader_public_key.curve25519,
+      JSON.parse(json.policy),
+      json.signature === undefined ? null : json.signature
+    )
+
+    return Promise.resolve(bundle)
+  }
+}